@@ -0,0 +1,651 @@
+/**
+ * @module aggregator
+ * @description Aggregate several HTTP MCP servers behind one stdio endpoint
+ */
+
+import { readFileSync } from 'fs';
+import { MCPBridge } from './index.js';
+
+// Upper bound on pages fetched from one upstream for a single list request
+const MAX_LIST_PAGES = 100;
+
+/**
+ * List methods that are merged across upstreams, with the routing details for each
+ * @type {Object<string, Object>}
+ */
+const LISTS = {
+  'tools/list': { key: 'tools', capability: 'tools' },
+  'prompts/list': { key: 'prompts', capability: 'prompts' },
+  'resources/list': { key: 'resources', capability: 'resources' },
+};
+
+/**
+ * Load an aggregator configuration file
+ * @param {string} path - Path to a JSON file with a `servers` object keyed by server name
+ * @returns {Object<string, Object>} Upstream server definitions
+ * @throws {Error} If the file is unreadable or has no servers
+ */
+export const loadServersConfig = (path) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read servers config ${path}: ${error.message}`);
+  }
+
+  const servers = config?.servers;
+  if (!servers || typeof servers !== 'object' || Object.keys(servers).length === 0) {
+    throw new Error(`Servers config ${path} must define at least one entry in "servers"`);
+  }
+
+  for (const [name, server] of Object.entries(servers)) {
+    if (typeof server?.url !== 'string') {
+      throw new Error(`Server "${name}" in ${path} must have a "url"`);
+    }
+  }
+
+  return servers;
+};
+
+/**
+ * Bridge that multiplexes several upstream MCP servers behind one stdio endpoint,
+ * merging their tools, prompts and resources and routing calls to the right server.
+ * @class MCPAggregator
+ * @extends MCPBridge
+ */
+export class MCPAggregator extends MCPBridge {
+  /**
+   * Create a new aggregator
+   * @param {Object} options - Aggregator configuration options
+   * @param {Object<string, Object>} options.servers - Upstream servers keyed by name. Each has a
+   *   `url`, an optional name `prefix` (default `<name>_`) and optional `headers`,
+   *   `urls` to fail over to, `healthUrl`, `bearerToken`, `tokenCommand`, `timeout`, `timeouts`
+   *   and `transport` (default: the aggregator's `transport`)
+   * @param {number} [options.timeout=30000] - Default request timeout in milliseconds
+   * @param {Object<string, number>} [options.timeouts] - Default timeouts by method or
+   *   `method:name`, merged under each server's own `timeouts`
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation (for testing)
+   * @param {Object} [options.logger] - Custom logger instance
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.servers || Object.keys(options.servers).length === 0) {
+      throw new Error('At least one upstream server is required');
+    }
+
+    this.upstreams = Object.entries(options.servers).map(([name, server]) => ({
+      name,
+      prefix: server.prefix ?? `${name}_`,
+      available: false,
+      capabilities: {},
+      inflight: new Set(),
+      bridge: new MCPBridge({
+        url: server.url,
+        urls: server.urls,
+        transport: server.transport || this.transport,
+        timeout: server.timeout || this.timeout,
+        timeouts: { ...this.timeouts, ...server.timeouts },
+        resetTimeoutOnProgress: this.resetTimeoutOnProgress,
+        maxTotalTimeout: this.maxTotalTimeout,
+        maxRetries: this.maxRetries,
+        retryDelay: this.retryDelay,
+        maxRetryDelay: this.maxRetryDelay,
+        retryMethods: [...this.retryMethods],
+        healthUrl: server.healthUrl,
+        healthMode: this.healthMode,
+        healthTimeout: this.healthTimeout,
+        headers: server.headers,
+        bearerToken: server.bearerToken,
+        tokenCommand: server.tokenCommand,
+        fetch: this.fetch,
+        recorder: this.recorder,
+        metrics: this.metrics,
+        tracer: this.tracer,
+        logger: this.logger.child({ upstream: name }),
+      }),
+    }));
+
+    this.routes = { tools: new Map(), prompts: new Map(), resources: new Map() };
+    // Spans of in-flight client requests, parents of the upstream HTTP spans
+    this.requestSpans = new Map();
+    // Server requests relayed to the client, by the namespaced ID the client answers with
+    this.serverRequests = new Map();
+
+    // Requests sent in a session that has ended can no longer be answered
+    for (const upstream of this.upstreams) {
+      for (const event of ['session', 'session-expired', 'disconnect']) {
+        upstream.bridge.on(event, () => this._forgetServerRequests(upstream));
+      }
+    }
+  }
+
+  /**
+   * Start the aggregator
+   * @param {Object} [options] - Start options
+   * @param {ReadableStream} [options.input=process.stdin] - Input stream
+   * @param {WritableStream} [options.output=process.stdout] - Output stream
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    const output = this._recordOutput(options.output || process.stdout);
+
+    // Let upstreams relay server-initiated messages from their own event streams
+    for (const upstream of this.upstreams) {
+      upstream.bridge.running = true;
+      upstream.bridge.output = this._upstreamOutput(upstream, output);
+    }
+
+    await super.start(options);
+  }
+
+  /**
+   * Check that the upstream servers are healthy
+   * Unhealthy upstreams are logged; the check only fails if none are reachable.
+   * @returns {Promise<boolean>}
+   * @throws {Error} If no upstream server is reachable
+   */
+  async checkHealth() {
+    const results = await Promise.allSettled(
+      this.upstreams.map(({ bridge }) => bridge.checkHealth()),
+    );
+
+    const healthy = results.filter((result) => result.status === 'fulfilled').length;
+    if (healthy === 0) {
+      throw new Error('No upstream MCP server is reachable');
+    }
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const { name } = this.upstreams[index];
+        this.logger.warn({ upstream: name, error: result.reason.message }, 'Upstream unhealthy');
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Get the aggregator status, including each upstream's session and availability
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      upstreams: this.upstreams.map(({ name, available, bridge }) => ({
+        name,
+        url: bridge.url,
+        sessionId: bridge.sessionId,
+        protocolVersion: bridge.protocolVersion,
+        available,
+      })),
+    };
+  }
+
+  /**
+   * Check upstream health without logging a failure
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If no upstream server is reachable
+   */
+  async _probeHealth() {
+    await this.checkHealth();
+  }
+
+  /**
+   * Terminate the session on every upstream
+   * @returns {Promise<void>}
+   */
+  async terminateSession() {
+    for (const upstream of this.upstreams) {
+      this._forgetServerRequests(upstream);
+    }
+    await Promise.all(
+      this.upstreams.map(({ bridge }) => {
+        bridge.running = false;
+        bridge._closeEventStream();
+        return bridge.terminateSession();
+      }),
+    );
+  }
+
+  /**
+   * Handle a single valid JSON-RPC message from the client
+   * @protected
+   * @param {Object} parsed - JSON-RPC message
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
+   */
+  async _handleMessage(parsed, output) {
+    this.logger.debug({ method: parsed.method, id: parsed.id }, 'Processing message');
+
+    if (this._isResponse(parsed) || this._isNotification(parsed)) {
+      await this._forwardOneWay(parsed);
+      return;
+    }
+
+    if (this._rejectByPolicy(parsed, output)) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.inflightRequests.set(parsed.id, controller);
+
+    const started = Date.now();
+    const span = this._startRequestSpan(parsed);
+    if (span) {
+      this.requestSpans.set(parsed.id, span);
+    }
+    let response;
+    let outcome;
+    try {
+      response = this.policy.filterResponse(parsed, await this._handleRequest(parsed, output));
+      outcome = response?.error ? 'error' : 'success';
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.logger.error(error, 'Failed to handle aggregated request');
+      }
+      response = this._createBridgeErrorResponse(error, parsed.id);
+      outcome = error.name === 'TimeoutError' ? 'timeout' : 'error';
+    } finally {
+      if (this.inflightRequests.get(parsed.id) === controller) {
+        this.inflightRequests.delete(parsed.id);
+      }
+      if (this.requestSpans.get(parsed.id) === span) {
+        this.requestSpans.delete(parsed.id);
+      }
+      this._endRequestSpan(span, response);
+    }
+
+    if (controller.signal.aborted) {
+      this.metrics.recordRequest(parsed, 'cancelled', started);
+      this.logger.debug({ method: parsed.method, id: parsed.id }, 'Dropping cancelled request');
+      return;
+    }
+
+    this.metrics.recordRequest(parsed, outcome, started);
+
+    output.write(JSON.stringify(response) + '\n');
+  }
+
+  /**
+   * Batches are always split, since their requests may be routed to different upstreams
+   * @protected
+   * @returns {boolean} Always false
+   */
+  _supportsBatches() {
+    return false;
+  }
+
+  /**
+   * Abort every in-flight request, including those sent to upstreams
+   * @param {string} [reason] - Reason for cancelling
+   */
+  cancelAll(reason) {
+    super.cancelAll(reason);
+    for (const { bridge } of this.upstreams) {
+      bridge.cancelAll(reason);
+    }
+  }
+
+  /**
+   * Handle a client request, answering locally or routing it to upstreams
+   * @private
+   * @param {Object} request - JSON-RPC request
+   * @param {WritableStream} output - Output stream for streamed messages
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _handleRequest(request, output) {
+    const { method, id } = request;
+
+    if (method === 'initialize') {
+      return this._initialize(request, output);
+    }
+
+    if (method === 'ping') {
+      return { jsonrpc: '2.0', result: {}, id };
+    }
+
+    if (LISTS[method]) {
+      return this._mergeList(request, output);
+    }
+
+    if (method === 'logging/setLevel') {
+      await Promise.allSettled(
+        this._available().map((upstream) => this._send(upstream, request, output)),
+      );
+      return { jsonrpc: '2.0', result: {}, id };
+    }
+
+    const route = this._resolveRoute(request);
+    if (!route) {
+      return this._createErrorResponse(-32601, `Method not found: ${method}`, id);
+    }
+    if (!route.upstream) {
+      return this._createErrorResponse(-32602, route.error, id);
+    }
+
+    return this._send(route.upstream, route.request, output);
+  }
+
+  /**
+   * Initialize every upstream and answer with the merged capabilities
+   * @private
+   * @param {Object} request - `initialize` request
+   * @param {WritableStream} output - Output stream for streamed messages
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _initialize(request, output) {
+    const results = await Promise.allSettled(
+      this.upstreams.map((upstream) => this._send(upstream, request, output)),
+    );
+
+    const capabilities = {};
+    let protocolVersion = request.params?.protocolVersion;
+
+    results.forEach((result, index) => {
+      const upstream = this.upstreams[index];
+      const response = result.status === 'fulfilled' ? result.value : null;
+
+      if (!response?.result) {
+        upstream.available = false;
+        const reason = result.reason?.message || response?.error?.message;
+        this.logger.warn(
+          { upstream: upstream.name, error: reason },
+          'Upstream failed to initialize',
+        );
+        return;
+      }
+
+      upstream.available = true;
+      upstream.capabilities = response.result.capabilities || {};
+      protocolVersion ??= response.result.protocolVersion;
+
+      for (const { capability } of Object.values(LISTS)) {
+        if (upstream.capabilities[capability]) {
+          capabilities[capability] = { ...capabilities[capability], listChanged: true };
+        }
+      }
+    });
+
+    if (!this.upstreams.some((upstream) => upstream.available)) {
+      return this._createErrorResponse(-32603, 'No upstream MCP server initialized', request.id);
+    }
+
+    if (this._available().some((upstream) => upstream.capabilities.logging)) {
+      capabilities.logging = {};
+    }
+
+    const response = {
+      jsonrpc: '2.0',
+      result: {
+        protocolVersion,
+        capabilities,
+        serverInfo: { name: 'mcp-bridge-aggregator', version: '1.0.0' },
+      },
+      id: request.id,
+    };
+    this._captureInitialize(request, response);
+    return response;
+  }
+
+  /**
+   * Query a list method on every capable upstream and merge the prefixed results
+   * @private
+   * @param {Object} request - List request
+   * @param {WritableStream} output - Output stream for streamed messages
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _mergeList(request, output) {
+    const { key, capability } = LISTS[request.method];
+    const upstreams = this._available().filter((upstream) => upstream.capabilities[capability]);
+
+    const results = await Promise.allSettled(
+      upstreams.map((upstream) => this._listAll(upstream, request, key, output)),
+    );
+
+    const routes = new Map();
+    const items = [];
+
+    results.forEach((result, index) => {
+      const upstream = upstreams[index];
+      if (result.status === 'rejected') {
+        this.logger.warn(
+          { upstream: upstream.name, method: request.method, error: result.reason.message },
+          'Upstream list request failed',
+        );
+        return;
+      }
+
+      for (const item of result.value) {
+        if (key === 'resources') {
+          routes.set(item.uri, { upstream, original: item.uri });
+          items.push({ ...item, name: `${upstream.prefix}${item.name}` });
+        } else {
+          const name = `${upstream.prefix}${item.name}`;
+          routes.set(name, { upstream, original: item.name });
+          items.push({ ...item, name });
+        }
+      }
+    });
+
+    this.routes[key] = routes;
+    return { jsonrpc: '2.0', result: { [key]: items }, id: request.id };
+  }
+
+  /**
+   * Fetch every page of a list method from one upstream
+   * @private
+   * @param {Object} upstream - Upstream server
+   * @param {Object} request - List request
+   * @param {string} key - Result key holding the items
+   * @param {WritableStream} output - Output stream for streamed messages
+   * @returns {Promise<Array<Object>>} All items
+   */
+  async _listAll(upstream, request, key, output) {
+    const items = [];
+    let cursor;
+
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const params = cursor ? { ...request.params, cursor } : request.params;
+      const response = await this._send(upstream, { ...request, params }, output);
+
+      if (response.error) {
+        throw new Error(response.error.message);
+      }
+
+      items.push(...(response.result?.[key] || []));
+      cursor = response.result?.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Work out which upstream a request belongs to and rewrite it for that upstream
+   * @private
+   * @param {Object} request - JSON-RPC request
+   * @returns {Object|null} `{ upstream, request }`, `{ error }` if unroutable, or null for
+   *   unsupported methods
+   */
+  _resolveRoute(request) {
+    const lookups = {
+      'tools/call': { key: 'tools', field: 'name', label: 'tool' },
+      'prompts/get': { key: 'prompts', field: 'name', label: 'prompt' },
+      'resources/read': { key: 'resources', field: 'uri', label: 'resource' },
+    };
+
+    const lookup = lookups[request.method];
+    if (!lookup) {
+      return null;
+    }
+
+    const value = request.params?.[lookup.field];
+    const route = this.routes[lookup.key].get(value) || this._routeByPrefix(value, lookup);
+    if (!route) {
+      return { error: `Unknown ${lookup.label}: ${value}` };
+    }
+
+    return {
+      upstream: route.upstream,
+      request: { ...request, params: { ...request.params, [lookup.field]: route.original } },
+    };
+  }
+
+  /**
+   * Route a tool or prompt name that was not seen in a list response by its prefix
+   * @private
+   * @param {string} value - Prefixed name
+   * @param {Object} lookup - Lookup details
+   * @returns {Object|null} Route
+   */
+  _routeByPrefix(value, lookup) {
+    if (lookup.field !== 'name' || typeof value !== 'string') {
+      return null;
+    }
+
+    const upstream = this._available()
+      .filter((candidate) => candidate.prefix && value.startsWith(candidate.prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+    return upstream ? { upstream, original: value.slice(upstream.prefix.length) } : null;
+  }
+
+  /**
+   * Forward a notification or client response to the upstreams it concerns
+   * @private
+   * @param {Object} message - JSON-RPC notification or response
+   * @returns {Promise<void>}
+   */
+  async _forwardOneWay(message) {
+    let targets = this._available();
+    let forwarded = message;
+
+    if (this._isResponse(message)) {
+      const request = this.serverRequests.get(message.id);
+      this.serverRequests.delete(message.id);
+      targets = [];
+      if (request) {
+        targets = [request.upstream];
+        forwarded = { ...message, id: request.id };
+      }
+    } else if (message.method === 'notifications/cancelled') {
+      const { requestId, reason } = message.params || {};
+      targets = targets.filter(({ inflight }) => inflight.has(requestId));
+      this.cancelRequest(requestId, reason);
+      for (const { bridge } of targets) {
+        bridge.cancelRequest(requestId, reason);
+      }
+    }
+
+    if (targets.length === 0) {
+      this.logger.debug({ method: message.method, id: message.id }, 'No upstream for message');
+      return;
+    }
+
+    await Promise.all(
+      targets.map(({ name, bridge }) =>
+        bridge.forwardOneWay(forwarded).catch((error) => {
+          this.logger.error(
+            { upstream: name, method: message.method, error: error.message },
+            'Failed to forward message to upstream',
+          );
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Send a request to one upstream, relaying any messages streamed before its response
+   * @private
+   * @param {Object} upstream - Upstream server
+   * @param {Object} request - JSON-RPC request
+   * @param {WritableStream} output - Output stream for streamed messages
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _send(upstream, request, output) {
+    const relayOutput = this._upstreamOutput(upstream, output);
+    upstream.inflight.add(request.id);
+    try {
+      const response = await upstream.bridge.forwardToHTTP(request, {
+        onMessage: (streamed) => upstream.bridge._relayMessage(streamed, relayOutput),
+        span: this.requestSpans.get(request.id),
+      });
+      if (!response) {
+        throw new Error(`Upstream ${upstream.name} returned no response`);
+      }
+      return response;
+    } finally {
+      upstream.inflight.delete(request.id);
+    }
+  }
+
+  /**
+   * Wrap the output an upstream relays server-initiated messages to
+   * Upstreams number their requests independently, so each server request reaches the client
+   * with its ID namespaced as `<upstream>:<id>`; `_forwardOneWay` maps the answer back.
+   * @private
+   * @param {Object} upstream - Upstream server
+   * @param {WritableStream} output - Output stream of the client
+   * @returns {Object} Writable stream stand-in
+   */
+  _upstreamOutput(upstream, output) {
+    return {
+      write: (line) => {
+        const message = JSON.parse(line);
+        if (typeof message.method === 'string' && message.id !== undefined) {
+          const id = `${upstream.name}:${message.id}`;
+          this.serverRequests.set(id, { upstream, id: message.id });
+          return output.write(JSON.stringify({ ...message, id }) + '\n');
+        }
+
+        // The upstream gave up on one of its requests
+        const cancelled = `${upstream.name}:${message.params?.requestId}`;
+        if (message.method === 'notifications/cancelled' && this.serverRequests.delete(cancelled)) {
+          const params = { ...message.params, requestId: cancelled };
+          return output.write(JSON.stringify({ ...message, params }) + '\n');
+        }
+
+        return output.write(line);
+      },
+    };
+  }
+
+  /**
+   * Drop the server requests an upstream relayed, telling the client they are cancelled
+   * @private
+   * @param {Object} upstream - Upstream whose session ended
+   */
+  _forgetServerRequests(upstream) {
+    for (const [id, request] of this.serverRequests) {
+      if (request.upstream !== upstream) {
+        continue;
+      }
+
+      this.serverRequests.delete(id);
+      upstream.bridge.pendingServerRequests.delete(request.id);
+      this.logger.debug({ upstream: upstream.name, id }, 'Dropping unanswered server request');
+      this.output?.write(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: id, reason: `Upstream ${upstream.name} disconnected` },
+        }) + '\n',
+      );
+    }
+  }
+
+  /**
+   * Get the upstreams that initialized successfully
+   * @private
+   * @returns {Array<Object>} Available upstreams
+   */
+  _available() {
+    return this.upstreams.filter((upstream) => upstream.available);
+  }
+}
+
+export default MCPAggregator;
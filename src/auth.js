@@ -0,0 +1,150 @@
+/**
+ * @module auth
+ * @description Authentication headers for requests to the HTTP MCP server
+ */
+
+import { exec } from 'child_process';
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+/**
+ * Run a shell command and resolve with its trimmed stdout
+ * @param {string} command - Shell command
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<string>} Command output
+ */
+const runShellCommand = (command, timeout) =>
+  new Promise((resolve, reject) => {
+    exec(command, { timeout }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout.trim());
+    });
+  });
+
+/**
+ * Parse a `Name: value` header string
+ * @param {string} header - Header string
+ * @returns {Array<string>} Header name and value
+ * @throws {Error} If the header is not in `Name: value` form
+ */
+export const parseHeader = (header) => {
+  const colon = header.indexOf(':');
+  const name = colon === -1 ? '' : header.slice(0, colon).trim();
+
+  if (!name) {
+    throw new Error(`Invalid header "${header}", expected "Name: value"`);
+  }
+
+  return [name, header.slice(colon + 1).trim()];
+};
+
+/**
+ * Supplies static headers and bearer tokens for outgoing requests
+ * @class AuthProvider
+ */
+export class AuthProvider {
+  /**
+   * Create a new auth provider
+   * @param {Object} [options] - Auth options
+   * @param {Object} [options.headers={}] - Static headers sent with every request
+   * @param {string} [options.bearerToken] - Static bearer token
+   * @param {string} [options.tokenCommand] - Command printing a bearer token, re-run on 401
+   * @param {number} [options.commandTimeout=10000] - Token command timeout in milliseconds
+   * @param {Function} [options.runCommand] - Command runner (for testing)
+   */
+  constructor(options = {}) {
+    this.headers = { ...options.headers };
+    this.bearerToken = options.bearerToken || null;
+    this.tokenCommand = options.tokenCommand || null;
+    this.commandTimeout = options.commandTimeout || 10000;
+    this.runCommand = options.runCommand || runShellCommand;
+    this.cachedToken = null;
+    this.pendingToken = null;
+  }
+
+  /**
+   * Get the auth headers for a request
+   * @returns {Promise<Object>} Headers to merge into the request
+   */
+  async getHeaders() {
+    const headers = { ...this.headers };
+    const token = await this.getToken();
+
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get the current bearer token, running the token command if nothing is cached
+   * @returns {Promise<string|null>} Bearer token
+   * @throws {Error} If the token command fails
+   */
+  async getToken() {
+    if (!this.tokenCommand) {
+      return this.bearerToken;
+    }
+
+    if (this.cachedToken) {
+      return this.cachedToken;
+    }
+
+    // Concurrent requests share a single command run
+    this.pendingToken ??= this.runCommand(this.tokenCommand, this.commandTimeout)
+      .then((token) => {
+        if (!token) {
+          throw new Error('Token command produced no output');
+        }
+        this.cachedToken = token;
+        return token;
+      })
+      .catch((error) => {
+        throw new Error(`Token command failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.pendingToken = null;
+      });
+
+    return this.pendingToken;
+  }
+
+  /**
+   * Handle a 401 response by discarding the cached token
+   * @returns {Promise<boolean>} Whether a retry may succeed with a fresh token
+   */
+  async refresh() {
+    if (!this.tokenCommand) {
+      return false;
+    }
+
+    this.cachedToken = null;
+    return true;
+  }
+
+  /**
+   * Copy headers with credential values replaced, for logging
+   * @param {Object} headers - Request headers
+   * @returns {Object} Redacted headers
+   */
+  redact(headers) {
+    const sensitive = [
+      ...SENSITIVE_HEADERS,
+      ...Object.keys(this.headers).map((name) => name.toLowerCase()),
+    ];
+
+    return Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name,
+        sensitive.includes(name.toLowerCase()) ? REDACTED : value,
+      ]),
+    );
+  }
+}
+
+export default AuthProvider;
@@ -4,9 +4,15 @@
  * @description Command-line interface for MCP bridge
  */
 
-import { program } from 'commander';
+import { program, InvalidArgumentError, Option } from 'commander';
 import { MCPBridge } from './index.js';
+import { MCPHTTPServer } from './server.js';
+import { MCPAggregator, loadServersConfig } from './aggregator.js';
+import { loadPolicy } from './policy.js';
+import { ReplayUpstream } from './recorder.js';
+import { resolveProfile, CONFIG_FILE, DEFAULT_PROFILE } from './config.js';
 import { createLogger } from './logger.js';
+import { parseHeader } from './auth.js';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -15,31 +21,196 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf-8'));
 
 /**
- * Main CLI function
+ * Collect a repeatable `Name: value` header option into an object
+ * @param {string} value - Header string
+ * @param {Object} previous - Headers collected so far
+ * @returns {Object} Headers
  */
-const main = async () => {
-  program
-    .name('mcp-bridge')
-    .description(packageJson.description)
-    .version(packageJson.version)
-    .option('-u, --url <url>', 'MCP server URL', process.env.MCP_HTTP_URL)
-    .option('-t, --timeout <ms>', 'Request timeout in milliseconds', '30000')
-    .option(
-      '-l, --log-level <level>',
-      'Log level (trace/debug/info/warn/error/fatal)',
-      process.env.LOG_LEVEL || 'info',
-    )
-    .option('--no-health-check', 'Skip health check on startup')
-    .parse();
+const collectHeader = (value, previous) => {
+  try {
+    const [name, headerValue] = parseHeader(value);
+    return { ...previous, [name]: headerValue };
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+};
 
-  const options = program.opts();
+/**
+ * Collect a repeatable, comma-separated list option
+ * @param {string} value - Comma-separated values
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} Values
+ */
+const collectList = (value, previous) => [
+  ...previous,
+  ...value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean),
+];
+
+/**
+ * Collect a repeatable `method[:name]=ms` timeout option into an object
+ * @param {string} value - Timeout string, e.g. `tools/call:build_project=600000`
+ * @param {Object} previous - Timeouts collected so far
+ * @returns {Object} Timeouts keyed by method or `method:name`
+ */
+const collectTimeout = (value, previous) => {
+  const separator = value.lastIndexOf('=');
+  const key = value.slice(0, separator).trim();
+  const ms = Number(value.slice(separator + 1));
+
+  if (separator <= 0 || !key || !Number.isInteger(ms) || ms <= 0) {
+    throw new InvalidArgumentError(`Expected "method[:name]=ms", got "${value}"`);
+  }
+
+  return { ...previous, [key]: ms };
+};
+
+/**
+ * CLI options set by each profile setting that has a flag of a different name
+ * @type {Object<string, string>}
+ */
+const PROFILE_OPTIONS = {
+  urls: 'fallbackUrl',
+  timeouts: 'methodTimeout',
+  headers: 'header',
+  retryMethods: 'retryMethod',
+};
+
+/**
+ * Apply the selected config profile to the parsed CLI options
+ * A profile setting only replaces an option still at its default, so flags and environment
+ * variables win. Headers and method timeouts are merged, with flags winning per key.
+ * @param {Command} cmd - Root command, after parsing
+ * @throws {Error} If the config or profile is invalid
+ */
+const applyProfile = (cmd) => {
+  const options = cmd.opts();
+  const profile = resolveProfile({ config: options.config, profile: options.profile });
+
+  const settings = { ...profile };
+  if (typeof settings.oauth === 'object') {
+    const { cacheFile, redirectPort, scope } = settings.oauth;
+    Object.assign(settings, {
+      oauth: true,
+      oauthCacheFile: cacheFile,
+      oauthRedirectPort: redirectPort,
+      oauthScope: scope,
+    });
+  }
+
+  for (const [setting, value] of Object.entries(settings)) {
+    const key = PROFILE_OPTIONS[setting] || setting;
+    if (value === undefined) {
+      continue;
+    }
+
+    const source = cmd.getOptionValueSource(key);
+    if (setting === 'headers' || setting === 'timeouts') {
+      cmd.setOptionValueWithSource(key, { ...value, ...options[key] }, 'config');
+    } else if (source === undefined || source === 'default') {
+      cmd.setOptionValueWithSource(key, value, 'config');
+    }
+  }
+};
+
+/**
+ * Build the policy from a policy file or profile policy and the allow/deny flags
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Policy options
+ */
+const buildPolicy = (options) => {
+  let policy = {};
+  if (typeof options.policy === 'string') {
+    policy = loadPolicy(options.policy);
+  } else if (options.policy) {
+    policy = { ...options.policy };
+  }
+
+  for (const category of ['tools', 'prompts', 'resources']) {
+    const suffix = category[0].toUpperCase() + category.slice(1);
+    policy[category] = {
+      allow: [...(policy[category]?.allow || []), ...options[`allow${suffix}`]],
+      deny: [...(policy[category]?.deny || []), ...options[`deny${suffix}`]],
+    };
+  }
+
+  policy.readOnly = Boolean(options.readOnly || policy.readOnly);
+  return policy;
+};
+
+/**
+ * Create the logger from the logging options
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Pino logger instance
+ */
+const createCliLogger = (options) =>
+  createLogger({
+    level: options.logLevel,
+    format: options.logFormat,
+    file: options.logFile,
+    maxSize: options.logMaxSize && parseInt(options.logMaxSize, 10),
+    maxFiles: options.logMaxFiles && parseInt(options.logMaxFiles, 10),
+  });
+
+/**
+ * Run the stdio to HTTP bridge
+ * @param {Array<string>} command - HTTP MCP server command and arguments to supervise, if any
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<void>}
+ */
+const runBridge = async (command, options) => {
+  if (command.length > 0 && options.aggregate) {
+    program.error('error: a server command cannot be combined with --aggregate');
+  }
 
   // Create logger for CLI
-  const logger = createLogger({ level: options.logLevel });
+  const logger = createCliLogger(options);
 
-  const bridge = new MCPBridge({
+  const Bridge = options.aggregate ? MCPAggregator : MCPBridge;
+  const bridge = new Bridge({
+    servers: options.aggregate && loadServersConfig(options.aggregate),
     url: options.url,
+    urls: options.fallbackUrl,
+    maxRetries: parseInt(options.maxRetries, 10),
+    retryMethods: options.retryMethod,
     timeout: parseInt(options.timeout, 10),
+    timeouts: options.methodTimeout,
+    resetTimeoutOnProgress: options.resetTimeoutOnProgress,
+    maxTotalTimeout: options.maxTotalTimeout && parseInt(options.maxTotalTimeout, 10),
+    headers: options.header,
+    bearerToken: options.bearerToken,
+    tokenCommand: options.tokenCommand,
+    oauth: options.oauth && {
+      cacheFile: options.oauthCacheFile,
+      redirectPort: options.oauthRedirectPort && parseInt(options.oauthRedirectPort, 10),
+      scope: options.oauthScope,
+    },
+    policy: buildPolicy(options),
+    record: options.record,
+    resilient: options.resilient,
+    queueSize: parseInt(options.queueSize, 10),
+    queueMaxAge: parseInt(options.queueMaxAge, 10),
+    transport: options.transport,
+    healthUrl: options.healthUrl,
+    healthMode: options.healthCheck === false ? 'none' : options.healthMode,
+    healthTimeout: parseInt(options.healthTimeout, 10),
+    healthInterval: options.healthInterval && parseInt(options.healthInterval, 10),
+    admin: options.adminPort && {
+      port: parseInt(options.adminPort, 10),
+      host: options.adminHost,
+    },
+    tracing: (options.traceEndpoint || options.traceFile) && {
+      endpoint: options.traceEndpoint,
+      file: options.traceFile,
+      serviceName: options.traceServiceName,
+    },
+    server: command.length > 0 && {
+      command: command[0],
+      args: command.slice(1),
+      startupTimeout: parseInt(options.startupTimeout, 10),
+    },
     logLevel: options.logLevel,
     logger,
   });
@@ -58,9 +229,9 @@ const main = async () => {
   });
 
   // Handle shutdown signals
-  const shutdown = (signal) => {
+  const shutdown = async (signal) => {
     logger.info({ signal }, 'Shutdown signal received');
-    bridge.stop();
+    await bridge.stop();
     process.exit(0);
   };
 
@@ -68,19 +239,260 @@ const main = async () => {
   process.on('SIGTERM', () => shutdown('SIGTERM'));
 
   try {
-    // Check health unless disabled
-    if (options.healthCheck !== false) {
-      await bridge.checkHealth();
-    }
-
-    // Start the bridge
+    // Start the bridge; start() checks health unless the health mode is none
     await bridge.start();
   } catch (error) {
     logger.fatal(error, 'Failed to start bridge');
+    await bridge.stop();
     process.exit(1);
   }
 };
 
+/**
+ * Serve a stdio MCP server over Streamable HTTP
+ * @param {Array<string>} command - Server command and arguments
+ * @param {Object} options - Parsed CLI options, including global options
+ * @returns {Promise<void>}
+ */
+const runServer = async (command, options) => {
+  const logger = createCliLogger(options);
+
+  const server = new MCPHTTPServer({
+    command: command[0],
+    args: command.slice(1),
+    port: parseInt(options.port, 10),
+    host: options.host,
+    path: options.path,
+    allowedOrigins: options.allowedOrigin,
+    maxSessions: parseInt(options.maxSessions, 10),
+    logger,
+  });
+
+  // Handle shutdown signals
+  const shutdown = async (signal) => {
+    logger.info({ signal }, 'Shutdown signal received');
+    await server.stop();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  try {
+    await server.start();
+  } catch (error) {
+    logger.fatal(error, 'Failed to start server');
+    process.exit(1);
+  }
+};
+
+/**
+ * Serve a recording as a fake upstream MCP server
+ * @param {string} file - JSONL recording
+ * @param {Object} options - Parsed CLI options, including global options
+ * @returns {Promise<void>}
+ */
+const runReplay = async (file, options) => {
+  const logger = createCliLogger(options);
+
+  // Handle shutdown signals
+  let upstream = null;
+  const shutdown = async (signal) => {
+    logger.info({ signal }, 'Shutdown signal received');
+    await upstream?.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  try {
+    upstream = new ReplayUpstream({ file, logger });
+    const address = await upstream.listen({
+      port: parseInt(options.port, 10),
+      host: options.host,
+    });
+    logger.info(
+      { file, exchanges: upstream.exchanges.length, port: address.port },
+      'Replaying recording',
+    );
+  } catch (error) {
+    logger.fatal(error, 'Failed to replay recording');
+    process.exit(1);
+  }
+};
+
+/**
+ * Main CLI function
+ * @param {Array<string>} [argv=process.argv] - Command-line arguments
+ * @returns {Promise<void>}
+ */
+const main = async (argv = process.argv) => {
+  program
+    .name('mcp-bridge')
+    .description(packageJson.description)
+    .version(packageJson.version)
+    .option('-c, --config <file>', `Config file with named profiles (default: ./${CONFIG_FILE})`)
+    .option('-P, --profile <name>', `Config profile to use (default: ${DEFAULT_PROFILE})`)
+    .addOption(new Option('-u, --url <url>', 'MCP server URL').env('MCP_HTTP_URL'))
+    .option(
+      '--fallback-url <urls>',
+      'MCP server URLs to fail over to, comma-separated or repeated',
+      collectList,
+      [],
+    )
+    .addOption(
+      new Option('--transport <mode>', 'Upstream transport (auto falls back to legacy HTTP+SSE)')
+        .choices(['streamable', 'sse', 'auto'])
+        .default('streamable'),
+    )
+    .option(
+      '--max-retries <n>',
+      'Retries for idempotent requests on network errors, 5xx and 429',
+      '3',
+    )
+    .option(
+      '--retry-method <methods>',
+      'Also retry these methods or method:name entries, e.g. tools/call',
+      collectList,
+      [],
+    )
+    .option('-t, --timeout <ms>', 'Request timeout in milliseconds', '30000')
+    .option(
+      '--method-timeout <method=ms>',
+      'Timeout for a method or method:name, e.g. tools/call:build=600000 (repeatable)',
+      collectTimeout,
+      {},
+    )
+    .option(
+      '--reset-timeout-on-progress',
+      'Restart a request timeout on each progress notification',
+    )
+    .option('--max-total-timeout <ms>', 'Maximum request duration when progress resets timeouts')
+    .addOption(
+      new Option('-l, --log-level <level>', 'Log level (trace/debug/info/warn/error/fatal)')
+        .env('LOG_LEVEL')
+        .default('info'),
+    )
+    .addOption(
+      new Option('--log-format <format>', 'Log format (default: pretty)')
+        .choices(['json', 'pretty'])
+        .env('LOG_FORMAT'),
+    )
+    .option('--log-file <path>', 'Write logs to a file instead of stderr')
+    .option('--log-max-size <bytes>', 'Rotate the log file at this size', '10485760')
+    .option('--log-max-files <n>', 'Rotated log files to keep', '5')
+    .option('--no-health-check', 'Skip health checks (same as --health-mode none)')
+    .option(
+      '--health-url <url>',
+      'Health endpoint (default: the URL with /mcp replaced by /health)',
+    )
+    .addOption(
+      new Option('--health-mode <mode>', 'How to check server health')
+        .choices(['http', 'mcp-ping', 'none'])
+        .default('http'),
+    )
+    .option('--health-timeout <ms>', 'Health check timeout in milliseconds', '5000')
+    .option('--health-interval <ms>', 'Check health periodically at this interval')
+    .option(
+      '-H, --header <header>',
+      'Extra request header "Name: value" (repeatable)',
+      collectHeader,
+      {},
+    )
+    .addOption(
+      new Option('--bearer-token <token>', 'Bearer token for the MCP server').env(
+        'MCP_BEARER_TOKEN',
+      ),
+    )
+    .option('--token-command <cmd>', 'Command that prints a bearer token (re-run on 401)')
+    .option('--oauth', 'Authorize with the OAuth 2.1 flow when the server requires it')
+    .option('--oauth-cache-file <path>', 'OAuth token cache file')
+    .option('--oauth-redirect-port <port>', 'Loopback port for the OAuth redirect')
+    .option('--oauth-scope <scope>', 'OAuth scope to request')
+    .option('--aggregate <file>', 'Aggregate the upstream servers listed in a JSON config file')
+    .option('--policy <file>', 'JSON policy file with allow/deny lists')
+    .option('--allow-tools <globs>', 'Only expose tools matching these globs', collectList, [])
+    .option('--deny-tools <globs>', 'Hide and block tools matching these globs', collectList, [])
+    .option('--allow-prompts <globs>', 'Only expose prompts matching these globs', collectList, [])
+    .option(
+      '--deny-prompts <globs>',
+      'Hide and block prompts matching these globs',
+      collectList,
+      [],
+    )
+    .option(
+      '--allow-resources <globs>',
+      'Only expose resource URIs matching these globs',
+      collectList,
+      [],
+    )
+    .option(
+      '--deny-resources <globs>',
+      'Hide and block resource URIs matching these globs',
+      collectList,
+      [],
+    )
+    .option('--read-only', 'Only expose tools annotated with readOnlyHint: true')
+    .option('--record <file>', 'Record all traffic to a JSONL file')
+    .option('--resilient', 'Start even if the server is down, queueing messages until it is up')
+    .option('--queue-size <n>', 'Maximum messages queued while the server is down', '100')
+    .option('--queue-max-age <ms>', 'Time a queued message may wait before it fails', '60000')
+    .option('--admin-port <port>', 'Serve /metrics (Prometheus) and /status (JSON) on this port')
+    .option('--admin-host <host>', 'Host to bind the admin server to', '127.0.0.1')
+    .addOption(
+      new Option('--trace-endpoint <url>', 'Export request spans to this OTLP/HTTP traces URL').env(
+        'OTEL_EXPORTER_OTLP_TRACES_ENDPOINT',
+      ),
+    )
+    .option('--trace-file <path>', 'Append request spans to a JSONL file')
+    .addOption(
+      new Option('--trace-service-name <name>', 'service.name reported with exported spans')
+        .env('OTEL_SERVICE_NAME')
+        .default('mcp-stdio-http-bridge'),
+    )
+    .option(
+      '--startup-timeout <ms>',
+      'Time allowed for a launched server to become healthy',
+      '30000',
+    )
+    .argument('[command...]', 'HTTP MCP server command to launch and supervise (after --)')
+    .hook('preAction', (cmd) => {
+      try {
+        applyProfile(cmd);
+      } catch (error) {
+        cmd.error(`error: ${error.message}`);
+      }
+    })
+    .action(runBridge);
+
+  program
+    .command('serve')
+    .description('Expose a stdio MCP server over Streamable HTTP')
+    .argument('<command...>', 'stdio MCP server command and arguments (after --)')
+    .option('-p, --port <port>', 'Port to listen on', '3200')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('--path <path>', 'MCP endpoint path', '/mcp')
+    .option(
+      '--allowed-origin <origins>',
+      'Browser origins allowed besides loopback, comma-separated or repeated',
+      collectList,
+      [],
+    )
+    .option('--max-sessions <n>', 'Maximum concurrent sessions', '100')
+    .action((command, options, cmd) => runServer(command, cmd.optsWithGlobals()));
+
+  program
+    .command('replay')
+    .description('Answer requests from a recording, acting as a fake upstream MCP server')
+    .argument('<file>', 'JSONL recording made with --record')
+    .option('-p, --port <port>', 'Port to listen on', '3200')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .action((file, options, cmd) => runReplay(file, cmd.optsWithGlobals()));
+
+  await program.parseAsync(argv);
+};
+
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch((error) => {
@@ -0,0 +1,225 @@
+/**
+ * @module config
+ * @description Config file with named bridge profiles and `${ENV_VAR}` expansion
+ */
+
+import { existsSync, readFileSync } from 'fs';
+
+/**
+ * Config file looked up in the working directory when `--config` is not given
+ * @type {string}
+ */
+export const CONFIG_FILE = 'mcp-bridge.config.json';
+
+/**
+ * Profile used when `--profile` is not given
+ * @type {string}
+ */
+export const DEFAULT_PROFILE = 'default';
+
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'];
+
+/**
+ * Whether a value is a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Whether a value is a positive integer
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Whether a value is an array of strings
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+/**
+ * Profile settings, each with a check and a description of the expected type
+ * @type {Object<string, Object>}
+ */
+const SETTINGS = {
+  url: { check: (value) => typeof value === 'string', expected: 'a string' },
+  urls: { check: isStringArray, expected: 'an array of strings' },
+  timeout: { check: isPositiveInteger, expected: 'a positive integer' },
+  timeouts: {
+    check: (value) => isObject(value) && Object.values(value).every(isPositiveInteger),
+    expected: 'an object of positive integers',
+  },
+  headers: {
+    check: (value) => isObject(value) && Object.values(value).every((v) => typeof v === 'string'),
+    expected: 'an object of strings',
+  },
+  bearerToken: { check: (value) => typeof value === 'string', expected: 'a string' },
+  tokenCommand: { check: (value) => typeof value === 'string', expected: 'a string' },
+  oauth: {
+    check: (value) =>
+      typeof value === 'boolean' ||
+      (isObject(value) &&
+        Object.keys(value).every((key) => ['cacheFile', 'redirectPort', 'scope'].includes(key))),
+    expected: 'a boolean or an object with cacheFile, redirectPort and scope',
+  },
+  logLevel: { check: (value) => LOG_LEVELS.includes(value), expected: LOG_LEVELS.join('/') },
+  logFormat: { check: (value) => ['json', 'pretty'].includes(value), expected: 'json or pretty' },
+  logFile: { check: (value) => typeof value === 'string', expected: 'a string' },
+  policy: {
+    check: (value) => typeof value === 'string' || isObject(value),
+    expected: 'a policy file path or a policy object',
+  },
+  maxRetries: {
+    check: (value) => Number.isInteger(value) && value >= 0,
+    expected: 'a non-negative integer',
+  },
+  retryMethods: { check: isStringArray, expected: 'an array of strings' },
+  resetTimeoutOnProgress: { check: (value) => typeof value === 'boolean', expected: 'a boolean' },
+  maxTotalTimeout: { check: isPositiveInteger, expected: 'a positive integer' },
+  transport: {
+    check: (value) => ['streamable', 'sse', 'auto'].includes(value),
+    expected: 'streamable, sse or auto',
+  },
+  healthCheck: { check: (value) => typeof value === 'boolean', expected: 'a boolean' },
+  healthUrl: { check: (value) => typeof value === 'string', expected: 'a string' },
+  healthMode: {
+    check: (value) => ['http', 'mcp-ping', 'none'].includes(value),
+    expected: 'http, mcp-ping or none',
+  },
+  healthTimeout: { check: isPositiveInteger, expected: 'a positive integer' },
+  healthInterval: { check: isPositiveInteger, expected: 'a positive integer' },
+  record: { check: (value) => typeof value === 'string', expected: 'a string' },
+  adminPort: { check: isPositiveInteger, expected: 'a positive integer' },
+  adminHost: { check: (value) => typeof value === 'string', expected: 'a string' },
+  traceEndpoint: { check: (value) => typeof value === 'string', expected: 'a string' },
+  traceFile: { check: (value) => typeof value === 'string', expected: 'a string' },
+  traceServiceName: { check: (value) => typeof value === 'string', expected: 'a string' },
+  resilient: { check: (value) => typeof value === 'boolean', expected: 'a boolean' },
+  queueSize: { check: isPositiveInteger, expected: 'a positive integer' },
+  queueMaxAge: { check: isPositiveInteger, expected: 'a positive integer' },
+};
+
+/**
+ * Validate a parsed config file
+ * @param {any} config - Parsed config
+ * @param {string} path - Config file path, for error messages
+ * @throws {Error} On unknown keys or values of the wrong type
+ */
+const validateConfig = (config, path) => {
+  if (!isObject(config) || !isObject(config.profiles)) {
+    throw new Error(`Config ${path} must have a "profiles" object`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (key !== 'profiles') {
+      throw new Error(`Unknown key "${key}" in config ${path}`);
+    }
+  }
+
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (!isObject(profile)) {
+      throw new Error(`Profile "${name}" in ${path} must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(profile)) {
+      const setting = SETTINGS[key];
+      if (!setting) {
+        throw new Error(`Unknown setting "${key}" in profile "${name}" in ${path}`);
+      }
+      if (!setting.check(value)) {
+        throw new Error(`"${key}" in profile "${name}" in ${path} must be ${setting.expected}`);
+      }
+    }
+  }
+};
+
+/**
+ * Replace `${ENV_VAR}` references in every string of a value
+ * @param {any} value - Value to expand
+ * @param {Object} env - Environment variables
+ * @param {string} location - Where the value came from, for error messages
+ * @returns {any} Expanded value
+ * @throws {Error} If a referenced variable is not set
+ */
+export const expandEnv = (value, env, location) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+      if (env[name] === undefined) {
+        throw new Error(`Environment variable ${name} used by ${location} is not set`);
+      }
+      return env[name];
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => expandEnv(item, env, `${location}[${index}]`));
+  }
+
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, expandEnv(item, env, `${location}.${key}`)]),
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Load and validate a config file
+ * @param {string} path - Path to a JSON config file
+ * @returns {Object} Config with a `profiles` object
+ * @throws {Error} If the file cannot be read, parsed or validated
+ */
+export const loadConfig = (path) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read config ${path}: ${error.message}`);
+  }
+
+  validateConfig(config, path);
+  return config;
+};
+
+/**
+ * Find and resolve the profile to run with
+ * An explicit config file must exist; otherwise `mcp-bridge.config.json` in the working
+ * directory is used if present. Without a profile name the `default` profile is used if the
+ * config defines one.
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.config] - Config file path
+ * @param {string} [options.profile] - Profile name
+ * @param {Object} [options.env=process.env] - Environment for `${ENV_VAR}` expansion
+ * @returns {Object} Profile settings with environment variables expanded (empty if none)
+ * @throws {Error} If the config is invalid, the profile does not exist or a variable is unset
+ */
+export const resolveProfile = (options = {}) => {
+  const env = options.env || process.env;
+  const path = options.config || (existsSync(CONFIG_FILE) ? CONFIG_FILE : null);
+
+  if (!path) {
+    if (options.profile) {
+      throw new Error(`Profile "${options.profile}" requested but no ${CONFIG_FILE} was found`);
+    }
+    return {};
+  }
+
+  const { profiles } = loadConfig(path);
+  const name = options.profile || DEFAULT_PROFILE;
+
+  if (!profiles[name]) {
+    if (options.profile) {
+      throw new Error(
+        `Profile "${name}" not found in ${path} (available: ${Object.keys(profiles).join(', ')})`,
+      );
+    }
+    return {};
+  }
+
+  return expandEnv(profiles[name], env, `profile "${name}"`);
+};
@@ -6,6 +6,106 @@
 import readline from 'readline';
 import { EventEmitter } from 'events';
 import { createLogger } from './logger.js';
+import { SSEParser, readEventStream } from './sse.js';
+import { AuthProvider } from './auth.js';
+import { OAuthProvider } from './oauth.js';
+import { Policy } from './policy.js';
+import { Recorder } from './recorder.js';
+import { ServerSupervisor } from './supervisor.js';
+import { Metrics, AdminServer } from './metrics.js';
+import { Tracer, parseTraceparent } from './tracing.js';
+import { BATCH_PROTOCOL_VERSIONS, INVALID_REQUEST, replyId, validateMessage } from './jsonrpc.js';
+import { LegacySSEClient } from './legacy.js';
+
+/**
+ * JSON-RPC error code for requests that time out
+ * @type {number}
+ */
+const REQUEST_TIMEOUT = -32001;
+
+/**
+ * JSON-RPC error code for messages that could not be delivered while the upstream was down
+ * @type {number}
+ */
+const UPSTREAM_UNAVAILABLE = -32000;
+
+/**
+ * Methods that are safe to retry, besides every list method (`tools/list`, ...)
+ * @type {Set<string>}
+ */
+const IDEMPOTENT_METHODS = new Set(['initialize', 'ping', 'resources/read']);
+
+/**
+ * Ways of checking upstream health
+ * @type {Array<string>}
+ */
+const HEALTH_MODES = ['http', 'mcp-ping', 'none'];
+
+/**
+ * Upstream transports: Streamable HTTP, legacy HTTP+SSE, or Streamable HTTP falling back to
+ * legacy HTTP+SSE
+ * @type {Array<string>}
+ */
+const TRANSPORTS = ['streamable', 'sse', 'auto'];
+
+/**
+ * Statuses with which a server rejects a Streamable HTTP `initialize` when it only speaks the
+ * legacy HTTP+SSE transport
+ * @type {Array<number>}
+ */
+const LEGACY_FALLBACK_STATUSES = [400, 404, 405];
+
+/**
+ * Derive the health endpoint from an MCP endpoint URL
+ * A trailing `/mcp` path segment is replaced with `/health`; any other path falls back to
+ * `/health` at the server root.
+ * @param {string} url - MCP endpoint URL
+ * @returns {string} Health endpoint URL
+ */
+const deriveHealthUrl = (url) => {
+  const healthUrl = new URL(url);
+  const mcpPath = /\/mcp\/?$/;
+  if (mcpPath.test(healthUrl.pathname)) {
+    healthUrl.pathname = healthUrl.pathname.replace(mcpPath, '/health');
+  } else {
+    healthUrl.pathname = '/health';
+  }
+  healthUrl.search = '';
+  return healthUrl.toString();
+};
+
+/**
+ * Create the error thrown when a request times out
+ * @param {string} message - Error message
+ * @param {Object} data - Timing details (`timeout`, `elapsed`)
+ * @returns {Error} Error named `TimeoutError` carrying the JSON-RPC code and data
+ */
+const createTimeoutError = (message, data) => {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.code = REQUEST_TIMEOUT;
+  error.data = data;
+  return error;
+};
+
+/**
+ * Wait for a delay, resolving early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 
 /**
  * MCP Bridge class for converting between stdio and HTTP transports
@@ -17,7 +117,53 @@ export class MCPBridge extends EventEmitter {
    * Create a new MCP Bridge instance
    * @param {Object} options - Bridge configuration options
    * @param {string} [options.url='http://localhost:3200/mcp'] - MCP server URL
+   * @param {Array<string>} [options.urls] - Further MCP server URLs to fail over to
    * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+   * @param {Object<string, number>} [options.timeouts] - Timeouts by method or `method:name`,
+   *   e.g. `{ 'tools/list': 5000, 'tools/call:build_project': 600000 }`
+   * @param {boolean} [options.resetTimeoutOnProgress=false] - Restart a request's timeout each
+   *   time it reports progress
+   * @param {number} [options.maxTotalTimeout] - Hard limit on a request's total duration when
+   *   progress resets its timeout
+   * @param {number} [options.reconnectDelay=1000] - Initial GET event stream reconnect delay
+   * @param {number} [options.maxReconnectDelay=30000] - Maximum GET event stream reconnect delay
+   * @param {number} [options.maxResumeAttempts=5] - Attempts to resume an interrupted SSE response
+   * @param {number} [options.maxRetries=3] - Retries for idempotent requests that fail with a
+   *   network error, 5xx or 429
+   * @param {number} [options.retryDelay=500] - Initial retry delay, doubled on each retry
+   * @param {number} [options.maxRetryDelay=10000] - Maximum retry delay
+   * @param {Array<string>} [options.retryMethods] - Extra methods or `method:name` entries to
+   *   retry, e.g. `tools/call`
+   * @param {Object} [options.headers] - Static headers sent with every request
+   * @param {string} [options.bearerToken] - Bearer token sent with every request
+   * @param {string} [options.tokenCommand] - Command printing a bearer token, re-run on 401
+   * @param {boolean|Object} [options.oauth] - Enable OAuth authorization, optionally with
+   *   `OAuthProvider` options (`cacheFile`, `redirectPort`, `scope`, ...)
+   * @param {AuthProvider} [options.auth] - Custom auth provider (overrides the options above)
+   * @param {Policy|Object} [options.policy] - Tool, prompt and resource allow/deny policy
+   * @param {string} [options.record] - JSONL file to record all traffic to
+   * @param {Recorder} [options.recorder] - Custom traffic recorder (overrides `record`)
+   * @param {boolean} [options.resilient=false] - Start even if the server is down, queueing
+   *   messages until it comes up
+   * @param {number} [options.queueSize=100] - Maximum messages queued while the server is down
+   * @param {number} [options.queueMaxAge=60000] - Time a queued message may wait before it fails
+   * @param {string} [options.transport='streamable'] - `streamable` (Streamable HTTP), `sse`
+   *   (legacy HTTP+SSE, with `url` the SSE endpoint) or `auto` (Streamable HTTP, falling back
+   *   to legacy HTTP+SSE if the server rejects `initialize` with 400, 404 or 405)
+   * @param {string} [options.healthUrl] - Health endpoint (default: the URL with a trailing
+   *   `/mcp` replaced by `/health`, or `/health` at the server root)
+   * @param {string} [options.healthMode='http'] - How to check health: `http` requests the
+   *   health endpoint, `mcp-ping` sends a JSON-RPC `ping` and `none` skips health checks
+   * @param {number} [options.healthTimeout=5000] - Health check timeout in milliseconds
+   * @param {number} [options.healthInterval] - Check health periodically at this interval,
+   *   emitting `health` events (default: 2000 in resilient mode, otherwise off)
+   * @param {Object} [options.server] - Launch and supervise the HTTP MCP server: `command`,
+   *   `args`, `env`, `cwd`, `startupTimeout`, `restartDelay`, `maxRestartDelay`
+   * @param {Object} [options.admin] - Serve `/metrics` and `/status` over HTTP: `port`, `host`
+   * @param {Metrics} [options.metrics] - Metrics to record into (shared by aggregated upstreams)
+   * @param {Object} [options.tracing] - Trace requests and export spans: `endpoint` (OTLP/HTTP
+   *   traces URL), `file` (JSONL), `headers`, `serviceName`
+   * @param {Tracer} [options.tracer] - Custom tracer (overrides `tracing`)
    * @param {string} [options.logLevel] - Log level (trace/debug/info/warn/error/fatal)
    * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation (for testing)
    * @param {Object} [options.logger] - Custom logger instance
@@ -25,11 +171,56 @@ export class MCPBridge extends EventEmitter {
   constructor(options = {}) {
     super();
     this.url = options.url || process.env.MCP_HTTP_URL || 'http://localhost:3200/mcp';
+    this.urls = [...new Set([this.url, ...(options.urls || [])])];
     this.timeout = options.timeout || 30000;
+    this.timeouts = options.timeouts || {};
+    this.resetTimeoutOnProgress = Boolean(options.resetTimeoutOnProgress);
+    this.maxTotalTimeout = options.maxTotalTimeout || Infinity;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.maxResumeAttempts = options.maxResumeAttempts ?? 5;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay || 500;
+    this.maxRetryDelay = options.maxRetryDelay || 10000;
+    this.retryMethods = new Set(options.retryMethods || []);
     this.sessionId = null;
+    // Negotiated in the initialize exchange
+    this.protocolVersion = null;
+    this.serverCapabilities = null;
+    this.serverInfo = null;
     this.running = false;
     this.fetch = options.fetch || globalThis.fetch;
     this.rl = null;
+    this.output = null;
+    this.eventStream = null;
+    this.pendingServerRequests = new Map();
+    this.inflightRequests = new Map();
+    this.resilient = Boolean(options.resilient);
+    this.queueSize = options.queueSize ?? 100;
+    this.queueMaxAge = options.queueMaxAge || 60000;
+    this.healthUrl = options.healthUrl || null;
+    this.healthMode = options.healthMode || 'http';
+    this.healthTimeout = options.healthTimeout || 5000;
+    this.healthInterval = options.healthInterval || (this.resilient ? 2000 : 0);
+    this.healthPings = 0;
+    this.upstreamUp = true;
+    this.queue = [];
+    this.healthTimer = null;
+    this.handshake = { initialize: null, initialized: null };
+    this.sessionRecovery = null;
+    this.transport = options.transport || 'streamable';
+    // Legacy HTTP+SSE connection, once the legacy transport is in use
+    this.legacy = null;
+    this.legacyReconnected = false;
+
+    if (!HEALTH_MODES.includes(this.healthMode)) {
+      throw new Error(
+        `Unknown health mode "${this.healthMode}" (expected ${HEALTH_MODES.join(', ')})`,
+      );
+    }
+    if (!TRANSPORTS.includes(this.transport)) {
+      throw new Error(`Unknown transport "${this.transport}" (expected ${TRANSPORTS.join(', ')})`);
+    }
 
     // Setup logger
     this.logger =
@@ -37,6 +228,67 @@ export class MCPBridge extends EventEmitter {
       createLogger({
         level: options.logLevel || process.env.LOG_LEVEL,
       });
+
+    this.auth = options.auth || this._createAuthProvider(options);
+    this.policy = options.policy instanceof Policy ? options.policy : new Policy(options.policy);
+
+    this.recorder = options.recorder || null;
+    if (!this.recorder && options.record) {
+      this.recorder = new Recorder({ file: options.record, getSessionId: () => this.sessionId });
+    }
+
+    this.startedAt = null;
+    this.metrics =
+      options.metrics ||
+      new Metrics({
+        collect: (metrics) => {
+          metrics.inflight.set(this.inflightRequests.size);
+          metrics.upstreamUp.set(this.upstreamUp ? 1 : 0);
+        },
+      });
+
+    this.tracer = options.tracer || null;
+    if (!this.tracer && options.tracing) {
+      this.tracer = new Tracer({ ...options.tracing, logger: this.logger });
+    }
+
+    this.admin = null;
+    if (options.admin) {
+      this.admin = new AdminServer({ ...options.admin, bridge: this, logger: this.logger });
+    }
+
+    this.supervisor = null;
+    if (options.server) {
+      this.supervisor = new ServerSupervisor({
+        ...options.server,
+        checkHealth: () => this._probeHealth(),
+        logger: this.logger.child({ component: 'server' }),
+      });
+    }
+  }
+
+  /**
+   * Create the auth provider for the configured credentials
+   * @private
+   * @param {Object} options - Bridge configuration options
+   * @returns {AuthProvider} Auth provider
+   */
+  _createAuthProvider(options) {
+    if (options.oauth) {
+      return new OAuthProvider({
+        ...(typeof options.oauth === 'object' && options.oauth),
+        serverUrl: this.url,
+        headers: options.headers,
+        fetch: this.fetch,
+        logger: this.logger,
+      });
+    }
+
+    return new AuthProvider({
+      headers: options.headers,
+      bearerToken: options.bearerToken || process.env.MCP_BEARER_TOKEN,
+      tokenCommand: options.tokenCommand,
+    });
   }
 
   /**
@@ -48,7 +300,7 @@ export class MCPBridge extends EventEmitter {
    */
   async start(options = {}) {
     const input = options.input || process.stdin;
-    const output = options.output || process.stdout;
+    const output = this._recordOutput(options.output || process.stdout);
 
     if (this.running) {
       const error = new Error('Bridge is already running');
@@ -57,10 +309,33 @@ export class MCPBridge extends EventEmitter {
     }
 
     this.running = true;
+    this.output = output;
+    this.startedAt = Date.now();
     this.logger.info({ url: this.url }, 'Starting MCP bridge');
 
-    // Check server health
-    await this.checkHealth();
+    // Launch the server and wait for it to become healthy
+    if (this.supervisor) {
+      try {
+        await this.supervisor.start();
+      } catch (error) {
+        this.running = false;
+        this.logger.error(error, 'Failed to launch server');
+        throw error;
+      }
+    }
+
+    // Check server health; in resilient mode a down server only delays messages
+    if (this.healthMode !== 'none') {
+      if (this.resilient) {
+        this._setUpstreamState(await this._isHealthy());
+      } else {
+        await this.checkHealth();
+      }
+
+      if (this.healthInterval > 0) {
+        this._scheduleHealthCheck();
+      }
+    }
 
     // Setup readline interface
     this.rl = readline.createInterface({
@@ -72,8 +347,9 @@ export class MCPBridge extends EventEmitter {
     // Process input lines
     this.rl.on('line', async (line) => {
       if (line.trim()) {
+        this.recorder?.recordMessage('stdin', line);
         try {
-          await this.processMessage(line.trim(), output);
+          await this._dispatch(line.trim(), output);
         } catch (error) {
           this.logger.error(error, 'Error processing message');
           this.emit('error', error);
@@ -86,52 +362,284 @@ export class MCPBridge extends EventEmitter {
       this.stop();
     });
 
+    await this.admin?.listen();
+
     this.logger.info('MCP bridge started successfully');
     this.emit('start');
   }
 
+  /**
+   * Get the bridge status served on the admin `/status` endpoint
+   * @returns {Object} Session ID, upstream URL, health state and uptime in seconds
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      sessionId: this.sessionId,
+      protocolVersion: this.protocolVersion,
+      transport: this._usesLegacy() ? 'sse' : 'streamable',
+      url: this.url,
+      urls: this.urls,
+      upstreamUp: this.upstreamUp,
+      healthMode: this.healthMode,
+      inflightRequests: this.inflightRequests.size,
+      startedAt: this.startedAt && new Date(this.startedAt).toISOString(),
+      uptime: this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0,
+    };
+  }
+
+  /**
+   * Process a line from the client, queueing it while the upstream is down in resilient mode
+   * @private
+   * @param {string} line - JSON-RPC message string
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
+   */
+  async _dispatch(line, output) {
+    if (!this.resilient || this.upstreamUp) {
+      return this.processMessage(line, output);
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      // Let processMessage answer with a parse error
+      return this.processMessage(line, output);
+    }
+
+    if (this.queue.length >= this.queueSize) {
+      this.logger.warn({ method: message.method, id: message.id }, 'Message queue is full');
+      this._failQueued(
+        { message, output },
+        `Upstream server unavailable and message queue is full (${this.queueSize} messages)`,
+      );
+      return;
+    }
+
+    const item = { line, message, output };
+    item.timer = setTimeout(() => {
+      this.queue.splice(this.queue.indexOf(item), 1);
+      this.logger.warn({ method: message.method, id: message.id }, 'Queued message expired');
+      this._failQueued(
+        item,
+        `Upstream server unavailable for ${this.queueMaxAge}ms, queued message expired`,
+      );
+    }, this.queueMaxAge);
+
+    this.queue.push(item);
+    this.logger.debug(
+      { method: message.method, id: message.id, queued: this.queue.length },
+      'Upstream down, message queued',
+    );
+  }
+
+  /**
+   * Answer a message that could not be delivered with an error
+   * Notifications and responses have no reply and are dropped.
+   * @private
+   * @param {Object} item - Queue item with the parsed `message` and its `output`
+   * @param {string} reason - Error message
+   */
+  _failQueued({ message, output }, reason) {
+    if (this._isResponse(message) || this._isNotification(message)) {
+      return;
+    }
+
+    const errorResponse = this._createErrorResponse(UPSTREAM_UNAVAILABLE, reason, message.id);
+    output.write(JSON.stringify(errorResponse) + '\n');
+  }
+
+  /**
+   * Record whether the upstream is reachable, replaying queued messages once it is back
+   * @private
+   * @param {boolean} up - Whether the upstream is healthy
+   */
+  _setUpstreamState(up) {
+    if (up === this.upstreamUp) {
+      return;
+    }
+
+    this.upstreamUp = up;
+    if (!up) {
+      this.logger.warn(
+        { url: this.url },
+        this.resilient ? 'Upstream server is down, queueing messages' : 'Upstream server is down',
+      );
+      this.emit('upstream-down');
+      return;
+    }
+
+    this.logger.info({ url: this.url, queued: this.queue.length }, 'Upstream server is up');
+    this.emit('upstream-up');
+    this._flushQueue().catch((error) => {
+      this.logger.error(error, 'Failed to replay queued messages');
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Replay queued messages in order
+   * `initialize` is awaited so the messages after it use the new session.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flushQueue() {
+    while (this.upstreamUp && this.queue.length > 0) {
+      const item = this.queue.shift();
+      clearTimeout(item.timer);
+
+      const processing = this.processMessage(item.line, item.output).catch((error) => {
+        this.logger.error(error, 'Error processing message');
+        this.emit('error', error);
+      });
+      if (item.message.method === 'initialize') {
+        await processing;
+      }
+    }
+  }
+
+  /**
+   * Check health periodically while the bridge runs
+   * @private
+   */
+  _scheduleHealthCheck() {
+    this.healthTimer = setTimeout(async () => {
+      const up = await this._isHealthy();
+      if (!this.running) {
+        return;
+      }
+      this._setUpstreamState(up);
+      this._scheduleHealthCheck();
+    }, this.healthInterval);
+  }
+
+  /**
+   * Check health without throwing, emitting a `health` event with the result
+   * @private
+   * @returns {Promise<boolean>} Whether the upstream is healthy
+   */
+  async _isHealthy() {
+    try {
+      await this._probeHealth();
+      this.emit('health', { healthy: true, url: this.url });
+      return true;
+    } catch (error) {
+      this.logger.debug({ error: error.message }, 'Health check failed');
+      this.emit('health', { healthy: false, url: this.url, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Stop the bridge
+   * The bridge stops immediately; the returned promise settles once the
+   * session has been terminated on the server.
+   * @returns {Promise<void>}
    */
   stop() {
     if (!this.running) {
-      return;
+      return Promise.resolve();
     }
 
     this.logger.info('Stopping MCP bridge');
     this.running = false;
 
+    this._closeEventStream();
+    this.cancelAll('Bridge stopped');
+    this.legacy?.close();
+    clearTimeout(this.healthTimer);
+    this.healthTimer = null;
+    for (const item of this.queue.splice(0)) {
+      clearTimeout(item.timer);
+    }
+
     if (this.rl) {
       this.rl.close();
       this.rl = null;
     }
 
+    let stopped = this.terminateSession();
+    if (this.supervisor) {
+      stopped = stopped.finally(() => this.supervisor.stop());
+    }
+    if (this.admin) {
+      stopped = stopped.finally(() => this.admin.close());
+    }
+    if (this.recorder) {
+      stopped = stopped.finally(() => this.recorder.close());
+    }
+    if (this.tracer) {
+      stopped = stopped.finally(() => this.tracer.close());
+    }
+
     this.emit('stop');
+    return stopped;
   }
 
   /**
-   * Check if the HTTP server is healthy
-   * @returns {Promise<boolean>}
-   * @throws {Error} If server is not reachable
+   * Terminate the current session with an HTTP DELETE so the server can free its resources
+   * Failures are logged and never thrown.
+   * @returns {Promise<void>}
    */
-  async checkHealth() {
-    const healthUrl = this.url.replace('/mcp', '/health');
-    this.logger.debug({ healthUrl }, 'Checking server health');
+  async terminateSession() {
+    if (!this.sessionId) {
+      return;
+    }
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
+    const sessionId = this.sessionId;
+    this.sessionId = null;
+    this._closeEventStream();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-      const response = await this.fetch(healthUrl, {
+    try {
+      this.logger.debug({ sessionId }, 'Terminating session');
+      const response = await this._fetch(this.url, {
+        method: 'DELETE',
+        headers: this._sessionHeaders(sessionId),
         signal: controller.signal,
       });
 
+      if (response.status === 405) {
+        this.logger.debug('Server does not allow session termination');
+      } else if (!response.ok) {
+        this.logger.warn({ status: response.status }, 'Session termination failed');
+      } else {
+        this.logger.info({ sessionId }, 'Session terminated');
+      }
+    } catch (error) {
+      this.logger.warn({ error: error.message }, 'Session termination failed');
+    } finally {
       clearTimeout(timeoutId);
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Server returned ${response.status}`);
+  /**
+   * Check if the HTTP server is healthy
+   * @returns {Promise<boolean>}
+   * @throws {Error} If server is not reachable
+   */
+  async checkHealth() {
+    if (this.healthMode === 'none') {
+      return true;
+    }
+
+    // Fail over past unhealthy upstreams, reporting the last one if none is healthy
+    for (let tried = 1; tried < this.urls.length; tried++) {
+      try {
+        await this._probeHealth();
+        this.logger.debug('Server health check passed');
+        return true;
+      } catch (error) {
+        this.logger.warn({ url: this.url, error: error.message }, 'Upstream health check failed');
+        this._failover(this.url);
       }
+    }
 
+    try {
+      await this._probeHealth();
       this.logger.debug('Server health check passed');
       return true;
     } catch (error) {
@@ -142,150 +650,1492 @@ export class MCPBridge extends EventEmitter {
   }
 
   /**
-   * Process a JSON-RPC message
-   * @param {string} message - JSON-RPC message string
-   * @param {WritableStream} output - Output stream
+   * Check health once with the configured health mode, without logging failures
+   * @private
    * @returns {Promise<void>}
+   * @throws {Error} If the server is unreachable or unhealthy
    */
-  async processMessage(message, output) {
-    let parsed;
-    let requestId;
-
-    try {
-      parsed = JSON.parse(message);
-      requestId = parsed.id;
-      this.logger.debug({ method: parsed.method, id: requestId }, 'Processing message');
-    } catch (error) {
-      this.logger.error({ message, error }, 'Failed to parse JSON-RPC message');
-      const errorResponse = this._createErrorResponse(-32700, 'Parse error', null);
-      output.write(JSON.stringify(errorResponse) + '\n');
+  async _probeHealth() {
+    if (this.healthMode === 'none') {
       return;
     }
 
-    try {
-      const response = await this.forwardToHTTP(parsed);
-      output.write(JSON.stringify(response) + '\n');
-      this.logger.trace({ method: parsed.method, id: requestId }, 'Message processed successfully');
-    } catch (error) {
-      this.logger.error(error, 'Failed to forward message to HTTP server');
-      const errorResponse = this._createErrorResponse(
-        -32603,
-        `Bridge error: ${error.message}`,
-        requestId,
-      );
-      output.write(JSON.stringify(errorResponse) + '\n');
-    }
-  }
-
-  /**
-   * Forward a message to the HTTP server
-   * @param {Object} message - JSON-RPC message
-   * @returns {Promise<Object>} Response from server
-   */
-  async forwardToHTTP(message) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeoutId = setTimeout(() => controller.abort(), this.healthTimeout);
 
     try {
-      const headers = {
-        'Content-Type': 'application/json',
-        Accept: 'application/json, text/event-stream',
-      };
-
-      // Add session ID if available
-      if (this.sessionId) {
-        headers['Mcp-Session-Id'] = this.sessionId;
+      if (this.healthMode === 'mcp-ping') {
+        await this._pingHealth(controller.signal);
+        return;
       }
 
-      this.logger.trace({ url: this.url, headers, body: message }, 'Sending HTTP request');
+      const healthUrl = this.healthUrl || deriveHealthUrl(this.url);
+      this.logger.debug({ healthUrl }, 'Checking server health');
 
-      const response = await this.fetch(this.url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(message),
+      const response = await this._fetch(healthUrl, {
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
-      // Capture session ID from response
-      const newSessionId = response.headers.get('Mcp-Session-Id');
-      if (newSessionId && newSessionId !== this.sessionId) {
-        this.sessionId = newSessionId;
-        this.logger.info({ sessionId: this.sessionId }, 'Session ID captured');
-        this.emit('session', this.sessionId);
-      }
-
-      // Handle different response types
-      const contentType = response.headers.get('content-type');
-
-      if (contentType?.includes('text/event-stream')) {
-        return await this._handleStreamingResponse(response);
-      } else {
-        const jsonResponse = await response.json();
-        this.logger.trace({ response: jsonResponse }, 'Received JSON response');
-        return jsonResponse;
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        this.logger.error({ timeout: this.timeout }, 'Request timeout');
-        throw new Error(`Request timeout after ${this.timeout}ms`);
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
       }
-      throw error;
     } finally {
       clearTimeout(timeoutId);
     }
   }
 
   /**
-   * Handle SSE streaming response
+   * Check health by sending a JSON-RPC `ping` to the MCP endpoint
+   * Any JSON-RPC reply counts as healthy, including an error from a server that wants a
+   * session first: it shows the server is up and speaking MCP.
    * @private
-   * @param {Response} response - Fetch response
-   * @returns {Promise<Object>} Parsed response
+   * @param {AbortSignal} signal - Abort signal for the health timeout
+   * @returns {Promise<void>}
+   * @throws {Error} If the server is unreachable or does not answer with JSON-RPC
    */
-  async _handleStreamingResponse(response) {
-    this.logger.debug('Handling streaming response');
-    const text = await response.text();
-    const lines = text.split('\n');
+  async _pingHealth(signal) {
+    const ping = { jsonrpc: '2.0', method: 'ping', id: `health-${++this.healthPings}` };
+    this.logger.debug({ url: this.url }, 'Pinging server');
 
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        const data = line.slice(6).trim();
-        if (data) {
-          try {
-            const parsed = JSON.parse(data);
-            this.logger.trace({ data: parsed }, 'Parsed SSE data');
-            return parsed;
-          } catch (error) {
-            this.logger.warn({ data, error }, 'Failed to parse SSE data');
-          }
+    if (this._usesLegacy()) {
+      await this._legacySend(ping, signal);
+      return;
+    }
+
+    const response = await this._fetch(this.url, {
+      method: 'POST',
+      headers: this._buildHeaders(),
+      body: JSON.stringify(ping),
+      signal,
+    });
+
+    if (response.status >= 500) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+
+    let reply = null;
+    if (response.headers.get('content-type')?.includes('text/event-stream')) {
+      for await (const event of readEventStream(response)) {
+        if (!event.data) {
+          continue;
+        }
+        reply = JSON.parse(event.data);
+        if (reply.id === ping.id) {
+          break;
         }
       }
+    } else {
+      reply = await response.json().catch(() => null);
     }
 
-    const error = new Error('No valid data in streaming response');
-    this.logger.error(error, 'Streaming response parsing failed');
-    throw error;
+    if (reply?.jsonrpc !== '2.0') {
+      throw new Error(`Server did not answer ping with JSON-RPC (status ${response.status})`);
+    }
   }
 
   /**
-   * Create a JSON-RPC error response
-   * @private
-   * @param {number} code - Error code
-   * @param {string} message - Error message
-   * @param {any} id - Request ID
-   * @returns {Object} Error response
+   * Process a JSON-RPC message or batch
+   * Messages that are not valid JSON-RPC 2.0 are answered locally with Invalid Request.
+   * @param {string} message - JSON-RPC message string
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
    */
-  _createErrorResponse(code, message, id) {
-    return {
-      jsonrpc: '2.0',
-      error: {
-        code,
-        message,
-      },
-      id: id || null,
-    };
-  }
-}
+  async processMessage(message, output) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(message);
+    } catch (error) {
+      this.logger.error({ message, error }, 'Failed to parse JSON-RPC message');
+      const errorResponse = this._createErrorResponse(-32700, 'Parse error', null);
+      output.write(JSON.stringify(errorResponse) + '\n');
+      return;
+    }
+
+    if (Array.isArray(parsed)) {
+      await this._processBatch(parsed, output);
+      return;
+    }
+
+    const reason = validateMessage(parsed);
+    if (reason) {
+      this._rejectInvalid(parsed, reason, output);
+      return;
+    }
+
+    await this._handleMessage(parsed, output);
+  }
+
+  /**
+   * Handle a single valid JSON-RPC message
+   * @protected
+   * @param {Object} parsed - JSON-RPC message
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
+   */
+  async _handleMessage(parsed, output) {
+    const requestId = parsed.id;
+    this.logger.debug({ method: parsed.method, id: requestId }, 'Processing message');
+
+    // Notifications and responses never get a reply, even when forwarding fails
+    if (this._isResponse(parsed) || this._isNotification(parsed)) {
+      if (parsed.method === 'notifications/cancelled') {
+        this.cancelRequest(parsed.params?.requestId, parsed.params?.reason);
+      }
+
+      try {
+        await this.forwardOneWay(parsed);
+      } catch (error) {
+        this.logger.error(
+          { error, method: parsed.method, id: requestId },
+          'Failed to forward message to HTTP server',
+        );
+      }
+      return;
+    }
+
+    if (this._rejectByPolicy(parsed, output)) {
+      return;
+    }
+
+    const started = Date.now();
+    const span = this._startRequestSpan(parsed);
+    let response;
+    let failure;
+    try {
+      response = await this.forwardToHTTP(parsed, {
+        onMessage: (streamed) => this._relayMessage(streamed, output),
+        span,
+      });
+      if (response) {
+        output.write(JSON.stringify(this.policy.filterResponse(parsed, response)) + '\n');
+      }
+      this.metrics.recordRequest(parsed, response?.error ? 'error' : 'success', started);
+      this.logger.trace({ method: parsed.method, id: requestId }, 'Message processed successfully');
+    } catch (error) {
+      failure = error;
+      if (error.name === 'CancelledError') {
+        this.metrics.recordRequest(parsed, 'cancelled', started);
+        this.logger.debug({ method: parsed.method, id: requestId }, 'Dropping cancelled request');
+        return;
+      }
+
+      this.metrics.recordRequest(
+        parsed,
+        error.name === 'TimeoutError' ? 'timeout' : 'error',
+        started,
+      );
+      this.logger.error(error, 'Failed to forward message to HTTP server');
+      const errorResponse = this._createBridgeErrorResponse(error, requestId);
+      output.write(JSON.stringify(errorResponse) + '\n');
+    } finally {
+      this._endRequestSpan(span, response, failure);
+    }
+  }
+
+  /**
+   * Process a JSON-RPC batch, answering with one array of the responses to its requests
+   * Once a protocol version that allows batches has been negotiated, the valid elements are
+   * forwarded as a single batch; otherwise they are handled one by one. Invalid elements are
+   * answered locally, and nothing is written for a batch of only notifications and responses.
+   * @private
+   * @param {Array<any>} batch - Parsed batch
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
+   */
+  async _processBatch(batch, output) {
+    if (batch.length === 0) {
+      this._rejectInvalid(batch, 'batch must not be empty', output);
+      return;
+    }
+
+    const replies = [];
+    const valid = [];
+    for (const message of batch) {
+      const reason = validateMessage(message, { inBatch: true });
+      if (reason) {
+        this.logger.warn({ reason }, 'Invalid JSON-RPC message in batch');
+        replies.push(
+          this._createErrorResponse(
+            INVALID_REQUEST,
+            `Invalid Request: ${reason}`,
+            replyId(message),
+          ),
+        );
+      } else {
+        valid.push(message);
+      }
+    }
+
+    // Collect the responses to the batch's requests; streamed messages go straight through
+    const ids = new Set(this._batchRequests(valid).map(({ id }) => id));
+    const collector = {
+      write: (line) => {
+        const reply = JSON.parse(line);
+        if (this._isResponse(reply) && ids.has(reply.id)) {
+          replies.push(reply);
+        } else {
+          output.write(line);
+        }
+      },
+    };
+
+    if (this._supportsBatches()) {
+      await this._forwardBatch(valid, collector);
+    } else {
+      await Promise.all(valid.map((message) => this._handleMessage(message, collector)));
+    }
+
+    if (replies.length > 0) {
+      output.write(JSON.stringify(replies) + '\n');
+    }
+  }
+
+  /**
+   * Check whether the negotiated protocol version allows JSON-RPC batches
+   * @protected
+   * @returns {boolean}
+   */
+  _supportsBatches() {
+    return !this._usesLegacy() && BATCH_PROTOCOL_VERSIONS.includes(this.protocolVersion);
+  }
+
+  /**
+   * Forward a batch to the server in a single POST
+   * Requests blocked by the policy are answered locally, and requests the server leaves
+   * unanswered get an error, so every request gets exactly one response.
+   * @private
+   * @param {Array<Object>} messages - Valid JSON-RPC messages
+   * @param {WritableStream} output - Output stream
+   * @returns {Promise<void>}
+   */
+  async _forwardBatch(messages, output) {
+    const batch = messages.filter((message) => {
+      if (message.method === 'notifications/cancelled') {
+        this.cancelRequest(message.params?.requestId, message.params?.reason);
+      }
+      if (this._isResponse(message) || this._isNotification(message)) {
+        return true;
+      }
+      return !this._rejectByPolicy(message, output);
+    });
+    if (batch.length === 0) {
+      return;
+    }
+
+    const started = Date.now();
+    let replies = [];
+    let failure = null;
+    try {
+      const result = await this.forwardToHTTP(batch, {
+        onMessage: (streamed) => this._relayMessage(streamed, output),
+      });
+      replies = [result ?? []].flat();
+    } catch (error) {
+      failure = error;
+      this.logger.error(error, 'Failed to forward batch to HTTP server');
+    }
+
+    for (const request of this._batchRequests(batch)) {
+      let reply = replies.find((candidate) => this._isResponseTo(candidate, request));
+      if (failure) {
+        reply = this._createBridgeErrorResponse(failure, request.id);
+      } else if (!reply) {
+        reply = this._createErrorResponse(
+          -32603,
+          'Bridge error: Server did not answer this request in the batch',
+          request.id,
+        );
+      }
+
+      let outcome = reply.error ? 'error' : 'success';
+      if (failure?.name === 'TimeoutError') {
+        outcome = 'timeout';
+      }
+      this.metrics.recordRequest(request, outcome, started);
+      output.write(JSON.stringify(this.policy.filterResponse(request, reply)) + '\n');
+    }
+  }
+
+  /**
+   * Get the requests (messages expecting a response) in a batch
+   * @private
+   * @param {Array<Object>} batch - JSON-RPC messages
+   * @returns {Array<Object>} Requests
+   */
+  _batchRequests(batch) {
+    return batch.filter((message) => typeof message.method === 'string' && 'id' in message);
+  }
+
+  /**
+   * Answer an invalid message locally with an Invalid Request error
+   * @private
+   * @param {any} message - Parsed message
+   * @param {string} reason - Why the message is invalid
+   * @param {WritableStream} output - Output stream
+   */
+  _rejectInvalid(message, reason, output) {
+    this.logger.warn({ reason }, 'Invalid JSON-RPC message');
+    const errorResponse = this._createErrorResponse(
+      INVALID_REQUEST,
+      `Invalid Request: ${reason}`,
+      replyId(message),
+    );
+    output.write(JSON.stringify(errorResponse) + '\n');
+  }
+
+  /**
+   * Start the span covering a client request, continuing a trace passed in `params._meta`
+   * @protected
+   * @param {Object} request - JSON-RPC request
+   * @returns {Span|null} Span, or null if tracing is off
+   */
+  _startRequestSpan(request) {
+    if (!this.tracer) {
+      return null;
+    }
+
+    return this.tracer.startSpan(request.method, {
+      kind: 'server',
+      parent: parseTraceparent(request.params?._meta?.traceparent),
+      attributes: {
+        'rpc.system': 'jsonrpc',
+        'rpc.method': request.method,
+        'rpc.jsonrpc.request_id': String(request.id),
+        'mcp.tool.name': request.method === 'tools/call' ? request.params?.name : undefined,
+        'mcp.session.id': this.sessionId,
+      },
+    });
+  }
+
+  /**
+   * End the span covering a client request with the outcome
+   * @protected
+   * @param {Span|null} span - Span to end
+   * @param {Object} [response] - JSON-RPC response
+   * @param {Error} [error] - Error thrown while handling the request
+   */
+  _endRequestSpan(span, response, error) {
+    if (!span) {
+      return;
+    }
+
+    span.setAttributes({
+      'mcp.session.id': this.sessionId,
+      'rpc.jsonrpc.error_code': response?.error?.code,
+    });
+    if (error || response?.error) {
+      span.setStatus('error', (error || response.error).message);
+    } else {
+      span.setStatus('ok');
+    }
+    span.end();
+  }
+
+  /**
+   * Answer a request locally with an error if the policy blocks it
+   * @private
+   * @param {Object} request - JSON-RPC request
+   * @param {WritableStream} output - Output stream
+   * @returns {boolean} Whether the request was rejected
+   */
+  _rejectByPolicy(request, output) {
+    const reason = this.policy.checkRequest(request);
+    if (!reason) {
+      return false;
+    }
+
+    this.logger.warn({ method: request.method, id: request.id }, reason);
+    output.write(JSON.stringify(this._createErrorResponse(-32602, reason, request.id)) + '\n');
+    return true;
+  }
+
+  /**
+   * Forward a message to the HTTP server
+   * @param {Object|Array<Object>} message - JSON-RPC message, or batch of messages
+   * @param {Object} [options] - Forwarding options
+   * @param {Function} [options.onMessage] - Called with each message streamed before the response
+   * @param {boolean} [options.retried=false] - Whether this is a retry after session recovery
+   * @param {Span} [options.span] - Parent span for the HTTP exchange
+   * @returns {Promise<Object|Array<Object>|null>} Response from server (an array for a batch),
+   *   or null for 202/204 with no body
+   */
+  async forwardToHTTP(message, options = {}) {
+    if (this._usesLegacy()) {
+      return this._forwardLegacy(message);
+    }
+
+    const controller = new AbortController();
+    const timer = this._startRequestTimer(message, controller);
+    const requestId = message?.id;
+    const span = this.tracer?.startSpan('HTTP POST', {
+      kind: 'client',
+      parent: options.span,
+      attributes: {
+        'http.request.method': 'POST',
+        'rpc.method': message?.method,
+        'rpc.jsonrpc.request_id': requestId === undefined ? undefined : String(requestId),
+      },
+    });
+
+    if (requestId !== undefined && requestId !== null) {
+      this.inflightRequests.set(requestId, controller);
+    }
+
+    if (message?.method === 'initialize') {
+      this.handshake.initialize = message;
+    }
+
+    try {
+      const { response, headers } = await this._post(message, controller.signal, span, timer);
+
+      if (
+        this.transport === 'auto' &&
+        message?.method === 'initialize' &&
+        LEGACY_FALLBACK_STATUSES.includes(response.status)
+      ) {
+        this.logger.info(
+          { url: this.url, status: response.status },
+          'Server rejected Streamable HTTP, falling back to legacy HTTP+SSE',
+        );
+        span?.setStatus('error', `Server returned ${response.status}`);
+        timer.stop();
+        this._startLegacy();
+        return await this._forwardLegacy(message);
+      }
+
+      span?.setAttributes({
+        'url.full': this.url,
+        'http.response.status_code': response.status,
+        'mcp.session.id': headers['Mcp-Session-Id'],
+      });
+
+      if (this._isSessionExpired(response, headers) && !options.retried) {
+        span?.setStatus('error', 'Session expired');
+        timer.stop();
+        await this._recoverSession(message);
+        return await this.forwardToHTTP(message, { ...options, retried: true });
+      }
+
+      // The event stream of a new session waits for the negotiated protocol version
+      const initializing = message?.method === 'initialize';
+      this._captureSession(response, !initializing);
+
+      // Handle different response types
+      let result = null;
+
+      if (response.status === 202 || response.status === 204) {
+        this.logger.trace({ status: response.status }, 'Received empty response');
+      } else if (response.headers.get('content-type')?.includes('text/event-stream')) {
+        const onMessage = (streamed) => {
+          if (streamed.method === 'notifications/progress') {
+            timer.extend();
+          }
+          options.onMessage?.(streamed);
+        };
+        result = await this._handleStreamingResponse(
+          response,
+          message,
+          onMessage,
+          controller.signal,
+        );
+      } else {
+        result = await response.json();
+        this.recorder?.recordBody(response, result);
+        this.logger.trace({ response: result }, 'Received JSON response');
+      }
+
+      if (initializing) {
+        this._captureInitialize(message, result);
+        if (this.sessionId && this.eventStream?.sessionId !== this.sessionId) {
+          this._openEventStream();
+        }
+      }
+
+      // The request may have been cancelled while its response was being read
+      controller.signal.throwIfAborted();
+      span?.setStatus(response.status >= 400 ? 'error' : 'ok');
+      return result;
+    } catch (error) {
+      span?.setStatus('error', (timer.error || controller.signal.reason || error).message);
+      if (controller.signal.reason?.name === 'CancelledError') {
+        throw controller.signal.reason;
+      }
+      if (timer.error) {
+        this.metrics.recordTimeout(message);
+        this.logger.error({ method: message?.method, ...timer.error.data }, 'Request timeout');
+        throw timer.error;
+      }
+      throw error;
+    } finally {
+      span?.end();
+      timer.stop();
+      if (this.inflightRequests.get(requestId) === controller) {
+        this.inflightRequests.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * POST a request, retrying idempotent requests with backoff and failing over between URLs
+   * @private
+   * @param {Object} message - JSON-RPC request
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @param {Span} [span] - Span propagated upstream in a `traceparent` header
+   * @param {Object} [timer] - Request timer, paused while authorizing
+   * @returns {Promise<Object>} The `response` and the `headers` it was sent with
+   */
+  async _post(message, signal, span, timer) {
+    const retryable = this._isRetryable(message);
+
+    for (let attempt = 0; ; attempt++) {
+      const url = this.url;
+      const headers = this._buildHeaders();
+      if (message?.method === 'initialize') {
+        // A new initialize negotiates the version again
+        delete headers['MCP-Protocol-Version'];
+      }
+      if (span) {
+        headers.traceparent = span.traceparent();
+      }
+      this.logger.trace({ url, body: message }, 'Sending HTTP request');
+
+      let response = null;
+      let failure = null;
+      try {
+        response = await this._fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(message),
+          signal,
+          timer,
+        });
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+        failure = error;
+      }
+
+      const status = response?.status;
+      if (response && status !== 429 && !(status >= 500)) {
+        return { response, headers };
+      }
+
+      if (failure || status >= 500) {
+        this._failover(url);
+      }
+
+      if (!retryable || attempt >= this.maxRetries) {
+        if (failure) {
+          throw failure;
+        }
+        return { response, headers };
+      }
+
+      const delay = this._retryDelay(attempt, response);
+      this.logger.warn(
+        { method: message?.method, status, error: failure?.message, attempt: attempt + 1, delay },
+        'Retrying request',
+      );
+      await sleep(delay, signal);
+      signal.throwIfAborted();
+    }
+  }
+
+  /**
+   * Check whether a request may be sent again after a failure
+   * @private
+   * @param {Object} message - JSON-RPC request
+   * @returns {boolean}
+   */
+  _isRetryable(message) {
+    const method = message?.method;
+    if (!method) {
+      return false;
+    }
+
+    return (
+      IDEMPOTENT_METHODS.has(method) ||
+      method.endsWith('/list') ||
+      this.retryMethods.has(method) ||
+      this.retryMethods.has(`${method}:${message.params?.name}`)
+    );
+  }
+
+  /**
+   * Compute the delay before a retry
+   * A `Retry-After` header wins over exponential backoff with jitter; both are capped at
+   * `maxRetryDelay`.
+   * @private
+   * @param {number} attempt - Zero-based retry attempt
+   * @param {Response} [response] - Failed response, if any
+   * @returns {number} Delay in milliseconds
+   */
+  _retryDelay(attempt, response) {
+    const retryAfter = response?.headers?.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), this.maxRetryDelay);
+      }
+    }
+
+    const backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+    return backoff / 2 + (Math.random() * backoff) / 2;
+  }
+
+  /**
+   * Switch to the next upstream URL
+   * The session ID is kept: an upstream sharing session state accepts it, and one that does
+   * not answers 404, which re-initializes the session.
+   * @private
+   * @param {string} failedUrl - URL that failed; nothing happens if the bridge already moved on
+   */
+  _failover(failedUrl) {
+    if (this.urls.length < 2 || this.url !== failedUrl) {
+      return;
+    }
+
+    this.url = this.urls[(this.urls.indexOf(failedUrl) + 1) % this.urls.length];
+    this.logger.warn({ from: failedUrl, to: this.url }, 'Failing over to next upstream');
+    this.emit('failover', this.url);
+
+    if (this.eventStream) {
+      this._openEventStream();
+    }
+  }
+
+  /**
+   * Look up the timeout for a request
+   * `method:name` entries (e.g. `tools/call:build_project`) win over `method` entries.
+   * @private
+   * @param {Object} message - JSON-RPC request
+   * @returns {number} Timeout in milliseconds
+   */
+  _timeoutFor(message) {
+    const name = message?.params?.name;
+    const byName = name === undefined ? undefined : this.timeouts[`${message.method}:${name}`];
+    return byName ?? this.timeouts[message?.method] ?? this.timeout;
+  }
+
+  /**
+   * Start the timeout for a request, aborting it when the timeout elapses
+   * @private
+   * @param {Object} message - JSON-RPC request
+   * @param {AbortController} controller - Controller aborted on timeout
+   * @returns {Object} Timer with `extend()` (restart on progress), `pause()` and `resume()`
+   *   (stop the clock while the user authorizes, then restart it), `stop()` and the `error`
+   *   set once it has fired
+   */
+  _startRequestTimer(message, controller) {
+    const timeout = this._timeoutFor(message);
+    let started = Date.now();
+    let pausedAt = null;
+    let timeoutId = null;
+
+    const timer = {
+      error: null,
+      stop: () => clearTimeout(timeoutId),
+      extend: () => {
+        if (this.resetTimeoutOnProgress && !timer.error) {
+          arm();
+        }
+      },
+      pause: () => {
+        if (pausedAt === null && !timer.error) {
+          clearTimeout(timeoutId);
+          pausedAt = Date.now();
+        }
+      },
+      resume: () => {
+        if (pausedAt !== null) {
+          started += Date.now() - pausedAt;
+          pausedAt = null;
+          arm();
+        }
+      },
+    };
+
+    const arm = () => {
+      clearTimeout(timeoutId);
+      const remaining = this.maxTotalTimeout - (Date.now() - started);
+      timeoutId = setTimeout(
+        () => {
+          const elapsed = Date.now() - started;
+          let reason = `Request timeout after ${timeout}ms`;
+          if (elapsed >= this.maxTotalTimeout) {
+            reason = `Request exceeded maximum duration of ${this.maxTotalTimeout}ms`;
+          }
+          timer.error = createTimeoutError(`${reason} (${elapsed}ms elapsed)`, {
+            timeout,
+            elapsed,
+          });
+          controller.abort();
+        },
+        Math.min(timeout, remaining),
+      );
+    };
+
+    arm();
+    return timer;
+  }
+
+  /**
+   * Abort an in-flight request, including a streaming response being read
+   * The request's response is never written to the client.
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {string} [reason] - Reason for cancelling
+   * @returns {boolean} Whether a matching request was in flight
+   */
+  cancelRequest(id, reason) {
+    const controller = this.inflightRequests.get(id);
+    if (!controller) {
+      return false;
+    }
+
+    this.inflightRequests.delete(id);
+    const error = new Error(reason ? `Request cancelled: ${reason}` : 'Request cancelled');
+    error.name = 'CancelledError';
+    controller.abort(error);
+
+    this.logger.debug({ id, reason }, 'Cancelled in-flight request');
+    return true;
+  }
+
+  /**
+   * Abort every in-flight request
+   * @param {string} [reason] - Reason for cancelling
+   */
+  cancelAll(reason) {
+    for (const id of [...this.inflightRequests.keys()]) {
+      this.cancelRequest(id, reason);
+    }
+  }
+
+  /**
+   * Forward a notification or a client response to a server-initiated request
+   * The server acknowledges these with 202 Accepted and no body, which is never parsed.
+   * @param {Object} message - JSON-RPC notification or response from the client
+   * @param {Object} [options] - Forwarding options
+   * @param {boolean} [options.retried=false] - Whether this is a retry after session recovery
+   * @returns {Promise<void>}
+   * @throws {Error} If the server rejects the message
+   */
+  async forwardOneWay(message, options = {}) {
+    const controller = new AbortController();
+    const timer = this._startRequestTimer(message, controller);
+
+    if (message?.method === 'notifications/initialized') {
+      this.handshake.initialized = message;
+    }
+
+    if (this._isResponse(message) && !this.pendingServerRequests.delete(message.id)) {
+      this.logger.warn({ id: message.id }, 'Forwarding response to unknown server request');
+    }
+
+    try {
+      if (this._usesLegacy()) {
+        await this._legacySend(message, controller.signal);
+        this.logger.trace({ method: message.method }, 'Message sent over legacy HTTP+SSE');
+        return;
+      }
+
+      const headers = this._buildHeaders();
+      this.logger.trace({ url: this.url, body: message }, 'Sending HTTP message');
+
+      const response = await this._fetch(this.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(message),
+        signal: controller.signal,
+        timer,
+      });
+
+      if (this._isSessionExpired(response, headers) && !options.retried) {
+        timer.stop();
+        await this._recoverSession(message);
+        return await this.forwardOneWay(message, { ...options, retried: true });
+      }
+
+      this._captureSession(response);
+
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      this.logger.trace({ method: message.method, status: response.status }, 'Message accepted');
+    } catch (error) {
+      if (timer.error) {
+        throw timer.error;
+      }
+      throw error;
+    } finally {
+      timer.stop();
+    }
+  }
+
+  /**
+   * Check whether messages go over the legacy HTTP+SSE transport
+   * @private
+   * @returns {boolean}
+   */
+  _usesLegacy() {
+    return this.transport === 'sse' || this.legacy !== null;
+  }
+
+  /**
+   * Create the legacy HTTP+SSE connection, relaying server messages from its stream
+   * @private
+   * @returns {LegacySSEClient} Legacy connection
+   */
+  _startLegacy() {
+    if (this.legacy) {
+      return this.legacy;
+    }
+
+    this.legacy = new LegacySSEClient({
+      url: this.url,
+      fetch: (url, init) => this._fetch(url, init),
+      headers: () => this._buildHeaders(),
+      connectTimeout: this.timeout,
+      recorder: this.recorder,
+      logger: this.logger,
+    });
+    this.legacy.on('message', (message) => {
+      if (this.output) {
+        this._relayMessage(message, this.output);
+      }
+    });
+    this.legacy.on('disconnect', () => {
+      this.legacyReconnected = true;
+      this.emit('disconnect');
+    });
+    return this.legacy;
+  }
+
+  /**
+   * Send a message over the legacy transport
+   * A dropped SSE stream loses the server session, so after reconnecting the client's
+   * `initialize` and `notifications/initialized` are replayed first.
+   * @private
+   * @param {Object} message - JSON-RPC message
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Object|null>} Response to a request, or null for other messages
+   */
+  async _legacySend(message, signal) {
+    const legacy = this._startLegacy();
+    const { initialize, initialized } = this.handshake;
+
+    if (this.legacyReconnected && initialize && message?.method !== 'initialize') {
+      this.legacyReconnected = false;
+      this.logger.info('Re-initializing session over legacy HTTP+SSE');
+      await legacy.send(initialize, signal);
+      if (initialized && message?.method !== 'notifications/initialized') {
+        await legacy.send(initialized, signal);
+      }
+    }
+
+    return legacy.send(message, signal);
+  }
+
+  /**
+   * Forward a request over the legacy transport, with the same timeouts and cancellation as
+   * Streamable HTTP requests
+   * @private
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<Object|null>} Response from server, or null for non-requests
+   */
+  async _forwardLegacy(message) {
+    const controller = new AbortController();
+    const timer = this._startRequestTimer(message, controller);
+    const requestId = message?.id;
+
+    if (requestId !== undefined && requestId !== null) {
+      this.inflightRequests.set(requestId, controller);
+    }
+
+    if (message?.method === 'initialize') {
+      this.handshake.initialize = message;
+      this.legacyReconnected = false;
+    }
+
+    try {
+      const result = await this._legacySend(message, controller.signal);
+      if (message?.method === 'initialize') {
+        this._captureInitialize(message, result);
+      }
+      return result;
+    } catch (error) {
+      if (controller.signal.reason?.name === 'CancelledError') {
+        throw controller.signal.reason;
+      }
+      if (timer.error) {
+        this.metrics.recordTimeout(message);
+        this.logger.error({ method: message?.method, ...timer.error.data }, 'Request timeout');
+        throw timer.error;
+      }
+      throw error;
+    } finally {
+      timer.stop();
+      if (this.inflightRequests.get(requestId) === controller) {
+        this.inflightRequests.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Send an HTTP request with the configured auth headers
+   * On 401 the auth provider may refresh its token, in which case the request is retried once.
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch options
+   * @param {Object} [init.timer] - Request timer, paused while the auth provider refreshes
+   * @returns {Promise<Response>} Fetch response
+   */
+  async _fetch(url, { timer, ...init } = {}) {
+    const send = async () => {
+      const headers = { ...init.headers, ...(await this.auth.getHeaders()) };
+      const method = init.method || 'GET';
+      this.logger.trace(
+        { method, url, headers: this.auth.redact(headers) },
+        'HTTP request headers',
+      );
+
+      const exchange = this.recorder?.startExchange({
+        method,
+        url,
+        headers: this.auth.redact(headers),
+        body: init.body,
+      });
+
+      let response;
+      try {
+        response = await this.fetch(url, { ...init, headers });
+      } catch (error) {
+        this.metrics.upstreamResponses.inc({ method, status: 'error' });
+        throw error;
+      }
+
+      this.metrics.upstreamResponses.inc({ method, status: response.status ?? 'unknown' });
+      this.recorder?.endExchange(exchange, response);
+      return response;
+    };
+
+    const response = await send();
+    if (response.status !== 401) {
+      return response;
+    }
+
+    // Refreshing may run the interactive OAuth flow, which must not use up the request timeout
+    timer?.pause();
+    let refreshed;
+    try {
+      refreshed = await this.auth.refresh(response);
+    } finally {
+      timer?.resume();
+    }
+
+    if (refreshed) {
+      this.logger.info({ url }, 'Unauthorized, retrying with refreshed credentials');
+      return send();
+    }
+
+    return response;
+  }
+
+  /**
+   * Wrap the output stream so every line written to the client is recorded
+   * @private
+   * @param {WritableStream} output - Output stream
+   * @returns {WritableStream} The stream itself, or a recording wrapper
+   */
+  _recordOutput(output) {
+    if (!this.recorder) {
+      return output;
+    }
+
+    const recorder = this.recorder;
+    return {
+      write(chunk, ...args) {
+        recorder.recordMessage('stdout', String(chunk));
+        return output.write(chunk, ...args);
+      },
+    };
+  }
+
+  /**
+   * Build the headers for a POST to the HTTP server
+   * @private
+   * @returns {Object} Request headers
+   */
+  _buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...this._sessionHeaders(),
+    };
+  }
+
+  /**
+   * Build the session and protocol version headers every request to the HTTP server carries
+   * @private
+   * @param {string|null} [sessionId=this.sessionId] - Session the request belongs to
+   * @returns {Object} Request headers
+   */
+  _sessionHeaders(sessionId = this.sessionId) {
+    const headers = {};
+
+    // Add session ID if available
+    if (sessionId) {
+      headers['Mcp-Session-Id'] = sessionId;
+    }
+
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Record the protocol version and capabilities negotiated by an `initialize` exchange
+   * Warns when the server answers with a different version than the client asked for.
+   * @protected
+   * @param {Object} request - `initialize` request
+   * @param {Object} [response] - JSON-RPC response
+   */
+  _captureInitialize(request, response) {
+    const result = response?.result;
+    if (!result) {
+      return;
+    }
+
+    this.protocolVersion = result.protocolVersion ?? null;
+    this.serverCapabilities = result.capabilities || {};
+    this.serverInfo = result.serverInfo || null;
+
+    const requested = request.params?.protocolVersion;
+    if (requested && requested !== this.protocolVersion) {
+      this.logger.warn(
+        { requested, negotiated: this.protocolVersion },
+        'Server negotiated a different protocol version than the client requested',
+      );
+    }
+
+    this.logger.info(
+      { protocolVersion: this.protocolVersion, server: this.serverInfo?.name },
+      'Session initialized',
+    );
+    this.emit('initialized', {
+      protocolVersion: this.protocolVersion,
+      capabilities: this.serverCapabilities,
+      serverInfo: this.serverInfo,
+    });
+  }
+
+  /**
+   * Capture the session ID from a server response
+   * @private
+   * @param {Response} response - Fetch response
+   * @param {boolean} [openStream=true] - Whether to open the event stream for a new session
+   */
+  _captureSession(response, openStream = true) {
+    const newSessionId = response.headers.get('Mcp-Session-Id');
+    if (newSessionId && newSessionId !== this.sessionId) {
+      this.sessionId = newSessionId;
+      this.metrics.sessions.inc();
+      this.logger.info({ sessionId: this.sessionId }, 'Session ID captured');
+      this.emit('session', this.sessionId);
+      if (openStream) {
+        this._openEventStream();
+      }
+    }
+  }
+
+  /**
+   * Check whether a response signals that the session sent with the request has expired
+   * @private
+   * @param {Response} response - Fetch response
+   * @param {Object} headers - Headers the request was sent with
+   * @returns {boolean}
+   */
+  _isSessionExpired(response, headers) {
+    return response.status === 404 && Boolean(headers['Mcp-Session-Id']);
+  }
+
+  /**
+   * Recover from an expired session by re-running the cached initialization handshake
+   * Concurrent callers share a single recovery.
+   * @private
+   * @param {Object} [message] - Message that hit the expired session, if any
+   * @returns {Promise<void>}
+   */
+  async _recoverSession(message) {
+    if (!this.sessionRecovery) {
+      this.sessionRecovery = this._reinitialize(message).finally(() => {
+        this.sessionRecovery = null;
+      });
+    }
+    return this.sessionRecovery;
+  }
+
+  /**
+   * Drop the expired session and replay `initialize` and `notifications/initialized`
+   * @private
+   * @param {Object} [message] - Message that hit the expired session, if any
+   * @returns {Promise<void>}
+   */
+  async _reinitialize(message) {
+    const expiredSessionId = this.sessionId;
+    this.sessionId = null;
+    this._closeEventStream();
+
+    this.logger.warn({ sessionId: expiredSessionId }, 'Session expired');
+    this.emit('session-expired', expiredSessionId);
+
+    // A new initialize from the client starts its own session
+    const { initialize, initialized } = this.handshake;
+    if (!initialize || message?.method === 'initialize') {
+      return;
+    }
+
+    this.logger.info('Re-initializing session');
+    await this.forwardToHTTP(initialize, { retried: true });
+    if (initialized && message?.method !== 'notifications/initialized') {
+      await this.forwardOneWay(initialized, { retried: true });
+    }
+  }
+
+  /**
+   * Write a server message to the output stream
+   * Server-initiated requests are recorded so the client's answer can be routed back.
+   * @private
+   * @param {Object} message - JSON-RPC message from the server
+   * @param {WritableStream} output - Output stream
+   */
+  _relayMessage(message, output) {
+    if (typeof message?.method === 'string' && message.id !== undefined) {
+      const pending = { method: message.method, receivedAt: Date.now() };
+      this.pendingServerRequests.set(message.id, pending);
+      this.logger.debug({ method: message.method, id: message.id }, 'Server request received');
+    }
+
+    this.metrics.eventsRelayed.inc();
+    output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Handle SSE streaming response
+   * Every JSON-RPC message on the stream is relayed through `onMessage` as soon as it arrives,
+   * until the response to the original request (or to every request of a batch) is received.
+   * If the stream drops first, it is resumed with `Last-Event-ID` after the server's `retry:`
+   * interval.
+   * @private
+   * @param {Response} response - Fetch response
+   * @param {Object|Array<Object>} request - JSON-RPC request, or batch, the stream answers
+   * @param {Function} [onMessage] - Called with each message that is not the final response
+   * @param {AbortSignal} [signal] - Abort signal for resumed connections
+   * @returns {Promise<Object|Array<Object>>} Parsed response, or the responses to a batch
+   */
+  async _handleStreamingResponse(response, request, onMessage, signal) {
+    this.logger.debug('Handling streaming response');
+
+    // A batch is answered once every request in it has a response
+    const batch = Array.isArray(request) ? [] : null;
+    const unanswered = new Set(batch && this._batchRequests(request).map(({ id }) => id));
+
+    const parser = new SSEParser();
+    const delivered = new Set();
+    let current = response;
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        current ??= await this._resumeStream(parser.lastEventId, signal);
+
+        for await (const event of readEventStream(current, parser)) {
+          this.recorder?.recordEvent(current, event);
+          if (event.id !== undefined) {
+            if (delivered.has(event.id)) {
+              continue;
+            }
+            delivered.add(event.id);
+            attempt = 0;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(event.data);
+          } catch (error) {
+            this.logger.warn({ data: event.data, error }, 'Failed to parse SSE data');
+            continue;
+          }
+
+          this.logger.trace({ event: event.event, id: event.id, data: parsed }, 'Parsed SSE data');
+
+          if (batch && this._isResponse(parsed) && unanswered.delete(parsed.id)) {
+            batch.push(parsed);
+            if (unanswered.size === 0) {
+              return batch;
+            }
+            continue;
+          }
+          if (!batch && this._isResponseTo(parsed, request)) {
+            return parsed;
+          }
+
+          onMessage?.(parsed);
+        }
+
+        this.logger.debug('Stream ended before the response was received');
+      } catch (error) {
+        if (error.name === 'AbortError' || signal?.aborted) {
+          throw error;
+        }
+        this.logger.warn({ error: error.message }, 'Streaming response interrupted');
+      }
+
+      current = null;
+      parser.reset();
+      if (parser.lastEventId === null || attempt >= this.maxResumeAttempts) {
+        break;
+      }
+
+      attempt++;
+      const delay = parser.retry ?? this.reconnectDelay;
+      this.logger.info({ lastEventId: parser.lastEventId, delay, attempt }, 'Resuming stream');
+      await sleep(delay, signal);
+    }
+
+    const error = new Error('No valid data in streaming response');
+    this.logger.error(error, 'Streaming response parsing failed');
+    throw error;
+  }
+
+  /**
+   * Reconnect to an interrupted SSE stream
+   * @private
+   * @param {string} lastEventId - ID of the last event received
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Response>} Fetch response continuing the stream
+   * @throws {Error} If the server does not resume the stream
+   */
+  async _resumeStream(lastEventId, signal) {
+    if (signal?.aborted) {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const headers = {
+      ...this._sessionHeaders(),
+      Accept: 'text/event-stream',
+      'Last-Event-ID': lastEventId,
+    };
+
+    const response = await this._fetch(this.url, { method: 'GET', headers, signal });
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Open the standalone GET event stream for server-initiated messages
+   * Any stream for a previous session is closed first.
+   * @private
+   */
+  _openEventStream() {
+    if (!this.running || !this.output) {
+      return;
+    }
+
+    this._closeEventStream();
+
+    const stream = { controller: new AbortController(), sessionId: this.sessionId };
+    this.eventStream = stream;
+
+    this._runEventStream(stream).catch((error) => {
+      this.logger.error(error, 'Event stream failed');
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Close the standalone GET event stream, if open
+   * @private
+   */
+  _closeEventStream() {
+    if (this.eventStream) {
+      this.eventStream.controller.abort();
+      this.eventStream = null;
+    }
+  }
+
+  /**
+   * Keep the GET event stream connected, relaying events to the output stream
+   * Reconnects with exponential backoff until the bridge stops or the server
+   * answers 405 to signal that it does not offer the stream.
+   * @private
+   * @param {Object} stream - Stream state
+   * @returns {Promise<void>}
+   */
+  async _runEventStream(stream) {
+    const { signal } = stream.controller;
+    const parser = new SSEParser();
+    let attempt = 0;
+
+    while (!signal.aborted) {
+      try {
+        const headers = { ...this._sessionHeaders(stream.sessionId), Accept: 'text/event-stream' };
+        if (parser.lastEventId !== null) {
+          headers['Last-Event-ID'] = parser.lastEventId;
+        }
+        this.logger.debug({ url: this.url }, 'Opening event stream');
+
+        const response = await this._fetch(this.url, { method: 'GET', headers, signal });
+
+        if (response.status === 405) {
+          this.logger.debug('Server does not offer a GET event stream');
+          return;
+        }
+
+        // The session is gone; recovering it opens a stream for the new session
+        if (response.status === 404 && stream.sessionId) {
+          this.logger.warn({ sessionId: stream.sessionId }, 'Event stream session not found');
+          if (this.sessionId === stream.sessionId) {
+            this._recoverSession().catch((error) => {
+              this.logger.error({ error: error.message }, 'Session recovery failed');
+            });
+          }
+          return;
+        }
+
+        if (!response.ok) {
+          throw new Error(`Server returned ${response.status}`);
+        }
+
+        this.emit('stream-open');
+
+        for await (const event of readEventStream(response, parser)) {
+          // Only a stream that delivers events counts as recovered; one the server closes
+          // straight away keeps backing off
+          attempt = 0;
+          this.recorder?.recordEvent(response, event);
+          this._relayEvent(event);
+        }
+
+        this.logger.debug('Event stream closed by server');
+      } catch (error) {
+        if (signal.aborted) {
+          return;
+        }
+        this.logger.warn({ error: error.message }, 'Event stream disconnected');
+      }
+
+      parser.reset();
+      const delay =
+        parser.retry ?? Math.min(this.reconnectDelay * 2 ** attempt, this.maxReconnectDelay);
+      attempt++;
+      this.logger.debug({ delay, attempt }, 'Reconnecting event stream');
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Relay a server-initiated SSE event to the output stream
+   * @private
+   * @param {Object} event - Parsed SSE event
+   */
+  _relayEvent(event) {
+    try {
+      const parsed = JSON.parse(event.data);
+      this.logger.trace({ data: parsed }, 'Relaying server-initiated message');
+      this._relayMessage(parsed, this.output);
+    } catch (error) {
+      this.logger.warn({ data: event.data, error }, 'Failed to parse SSE data');
+    }
+  }
+
+  /**
+   * Check whether a message is the JSON-RPC response to a request
+   * @private
+   * @param {Object} message - Received message
+   * @param {Object} request - Original request
+   * @returns {boolean}
+   */
+  _isResponseTo(message, request) {
+    return this._isResponse(message) && (request?.id === undefined || message.id === request.id);
+  }
+
+  /**
+   * Check whether a message is a JSON-RPC notification (has a method and no id)
+   * @private
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean}
+   */
+  _isNotification(message) {
+    return typeof message?.method === 'string' && !('id' in message);
+  }
+
+  /**
+   * Check whether a message is a JSON-RPC response (has a result or error and no method)
+   * @private
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean}
+   */
+  _isResponse(message) {
+    if (!message || typeof message !== 'object' || message.method !== undefined) {
+      return false;
+    }
+    return 'result' in message || 'error' in message;
+  }
+
+  /**
+   * Create a JSON-RPC error response
+   * @private
+   * @param {number} code - Error code
+   * @param {string} message - Error message
+   * @param {any} id - Request ID
+   * @param {any} [data] - Additional error data
+   * @returns {Object} Error response
+   */
+  _createErrorResponse(code, message, id, data) {
+    return {
+      jsonrpc: '2.0',
+      error: {
+        code,
+        message,
+        ...(data !== undefined && { data }),
+      },
+      id: id ?? null,
+    };
+  }
+
+  /**
+   * Create the JSON-RPC error response for a request the bridge failed to forward
+   * Timeouts keep their own code and timing data; other failures are internal errors.
+   * @private
+   * @param {Error} error - Forwarding error
+   * @param {any} id - Request ID
+   * @returns {Object} Error response
+   */
+  _createBridgeErrorResponse(error, id) {
+    if (error.name === 'TimeoutError') {
+      return this._createErrorResponse(error.code, error.message, id, error.data);
+    }
+    return this._createErrorResponse(-32603, `Bridge error: ${error.message}`, id);
+  }
+}
+
+export { MCPHTTPServer } from './server.js';
+export { Policy } from './policy.js';
+export { Recorder, ReplayUpstream } from './recorder.js';
+export { ServerSupervisor } from './supervisor.js';
+export { Metrics, AdminServer } from './metrics.js';
+export { Tracer, Span } from './tracing.js';
+export { LegacySSEClient } from './legacy.js';
 
 export default MCPBridge;
@@ -0,0 +1,98 @@
+/**
+ * @module jsonrpc
+ * @description JSON-RPC 2.0 message validation against the JSON-RPC and MCP base schemas
+ */
+
+/**
+ * Error code for a message that is not a valid JSON-RPC request, notification or response
+ * @type {number}
+ */
+export const INVALID_REQUEST = -32600;
+
+/**
+ * MCP protocol versions that allow JSON-RPC batches
+ * Batching was added in 2025-03-26 and removed again in 2025-06-18.
+ * @type {Array<string>}
+ */
+export const BATCH_PROTOCOL_VERSIONS = ['2025-03-26'];
+
+/**
+ * Whether a value is a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Whether a value is a valid MCP request ID (a string or an integer, never null)
+ * @param {any} id - Value to check
+ * @returns {boolean}
+ */
+const isRequestId = (id) => typeof id === 'string' || Number.isInteger(id);
+
+/**
+ * Check a parsed message against the JSON-RPC 2.0 and MCP base schemas
+ * @param {any} message - Parsed message
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.inBatch=false] - Whether the message is an element of a batch
+ * @returns {string|null} Why the message is invalid, or null if it is valid
+ */
+export const validateMessage = (message, options = {}) => {
+  if (!isObject(message)) {
+    return 'message must be an object';
+  }
+  if (message.jsonrpc !== '2.0') {
+    return 'jsonrpc must be "2.0"';
+  }
+
+  if ('method' in message) {
+    if (typeof message.method !== 'string') {
+      return 'method must be a string';
+    }
+    if ('id' in message && !isRequestId(message.id)) {
+      return 'id must be a string or an integer';
+    }
+    if ('params' in message && !isObject(message.params)) {
+      return 'params must be an object';
+    }
+    if ('result' in message || 'error' in message) {
+      return 'a request cannot have a result or an error';
+    }
+    if (options.inBatch && message.method === 'initialize') {
+      return 'initialize cannot be part of a batch';
+    }
+    return null;
+  }
+
+  if (!('id' in message)) {
+    return 'message must have a method or an id';
+  }
+  if ('result' in message === 'error' in message) {
+    return 'a response must have either a result or an error';
+  }
+  if (!isRequestId(message.id) && !(message.id === null && 'error' in message)) {
+    return 'id must be a string or an integer';
+  }
+  if ('result' in message && !isObject(message.result)) {
+    return 'result must be an object';
+  }
+  if (
+    'error' in message &&
+    !(
+      isObject(message.error) &&
+      Number.isInteger(message.error.code) &&
+      typeof message.error.message === 'string'
+    )
+  ) {
+    return 'error must have an integer code and a string message';
+  }
+  return null;
+};
+
+/**
+ * Get the ID to answer an invalid message with
+ * @param {any} message - Parsed message
+ * @returns {string|number|null} The message's ID if it is valid, otherwise null
+ */
+export const replyId = (message) =>
+  isObject(message) && isRequestId(message.id) ? message.id : null;
@@ -0,0 +1,242 @@
+/**
+ * @module legacy
+ * @description Client for the legacy HTTP+SSE transport (MCP 2024-11-05)
+ * The client GETs the SSE endpoint and waits for an `endpoint` event naming the URL to POST
+ * messages to. Every server message, including the responses to those POSTs, then arrives on
+ * the one SSE stream.
+ */
+
+import { EventEmitter } from 'events';
+import { readEventStream } from './sse.js';
+
+/**
+ * Connection to a server speaking the legacy HTTP+SSE transport
+ * Responses on the shared stream are matched to pending requests by ID; every other message
+ * is emitted as `message`. When the stream drops, pending requests fail, `disconnect` is
+ * emitted and the next `send()` opens a new stream (and with it a new server session).
+ * @class LegacySSEClient
+ * @extends EventEmitter
+ */
+export class LegacySSEClient extends EventEmitter {
+  /**
+   * Create a legacy transport client
+   * @param {Object} options - Client options
+   * @param {string} options.url - SSE endpoint URL
+   * @param {Function} options.fetch - Fetch implementation (the bridge's, so auth applies)
+   * @param {Function} [options.headers] - Returns the headers to send with every request
+   * @param {number} [options.connectTimeout=30000] - Time allowed for the `endpoint` event
+   * @param {Recorder} [options.recorder] - Recorder for the stream's events
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url;
+    this.fetch = options.fetch;
+    this.headers = options.headers || (() => ({}));
+    this.connectTimeout = options.connectTimeout || 30000;
+    this.recorder = options.recorder;
+    this.logger = options.logger;
+
+    this.endpoint = null;
+    this.connecting = null;
+    this.controller = null;
+    this.pending = new Map();
+  }
+
+  /**
+   * Whether the SSE stream is open and the message endpoint known
+   * @type {boolean}
+   */
+  get connected() {
+    return this.endpoint !== null;
+  }
+
+  /**
+   * Open the SSE stream, if not already open, and wait for the message endpoint
+   * @returns {Promise<string>} Message endpoint URL
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this._open().catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * POST a message to the server, waiting for the response on the SSE stream if it is a request
+   * @param {Object} message - JSON-RPC message
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Object|null>} Response to a request, or null for other messages
+   */
+  async send(message, signal) {
+    const endpoint = await this.connect();
+    signal?.throwIfAborted();
+
+    const id = message?.id;
+    const isRequest = typeof message?.method === 'string' && id !== undefined;
+    let reply = null;
+    let onAbort = null;
+    if (isRequest) {
+      reply = new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+      // The response may fail before the POST has finished; that is reported below
+      reply.catch(() => {});
+      onAbort = () => this.pending.get(id)?.reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const response = await this.fetch(endpoint, {
+        method: 'POST',
+        headers: { ...this.headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+        signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      return await reply;
+    } finally {
+      if (isRequest) {
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Close the SSE stream and fail pending requests
+   */
+  close() {
+    this.controller?.abort();
+    this._reset(new Error('Legacy SSE transport closed'));
+  }
+
+  /**
+   * GET the SSE endpoint and read events until the `endpoint` event arrives
+   * @private
+   * @returns {Promise<string>} Message endpoint URL
+   */
+  async _open() {
+    const controller = new AbortController();
+    this.controller = controller;
+    const timeoutId = setTimeout(
+      () => controller.abort(new Error(`No endpoint event within ${this.connectTimeout}ms`)),
+      this.connectTimeout,
+    );
+
+    try {
+      this.logger?.debug({ url: this.url }, 'Opening legacy SSE stream');
+      const headers = { ...this.headers(), Accept: 'text/event-stream' };
+      delete headers['Content-Type'];
+
+      const response = await this.fetch(this.url, {
+        method: 'GET',
+        headers,
+        signal: controller.signal,
+      });
+      if (!response.ok || !response.headers.get('content-type')?.includes('text/event-stream')) {
+        throw new Error(`Server did not open an SSE stream (status ${response.status})`);
+      }
+
+      const events = readEventStream(response);
+      for (;;) {
+        const { value: event, done } = await events.next();
+        if (done) {
+          throw new Error('SSE stream closed before the endpoint event');
+        }
+        this.recorder?.recordEvent(response, event);
+        if (event.event === 'endpoint') {
+          this.endpoint = new URL(event.data.trim(), this.url).href;
+          break;
+        }
+      }
+
+      this.logger?.info({ endpoint: this.endpoint }, 'Connected over legacy HTTP+SSE');
+      this._listen(response, events, controller);
+      return this.endpoint;
+    } catch (error) {
+      const reason = controller.signal.aborted ? controller.signal.reason : error;
+      controller.abort();
+      throw reason;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Read the rest of the stream, settling pending requests and emitting other messages
+   * @private
+   * @param {Response} response - SSE response
+   * @param {AsyncGenerator} events - Events of the response
+   * @param {AbortController} controller - Controller of the stream
+   * @returns {Promise<void>}
+   */
+  async _listen(response, events, controller) {
+    let error = null;
+    try {
+      for await (const event of events) {
+        this.recorder?.recordEvent(response, event);
+        if (event.event === 'message') {
+          this._receive(event.data);
+        }
+      }
+    } catch (streamError) {
+      error = streamError;
+    }
+
+    // A stream replaced or closed deliberately has already been cleaned up
+    if (this.controller !== controller || controller.signal.aborted) {
+      return;
+    }
+
+    this.logger?.warn({ error: error?.message }, 'Legacy SSE stream disconnected');
+    this._reset(new Error('Legacy SSE stream closed before the response arrived'));
+    this.emit('disconnect', error);
+  }
+
+  /**
+   * Handle a message from the stream
+   * @private
+   * @param {string} data - Event data
+   */
+  _receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.logger?.warn({ data, error }, 'Failed to parse SSE data');
+      return;
+    }
+
+    const isResponse = message.method === undefined && ('result' in message || 'error' in message);
+    const pending = isResponse && this.pending.get(message.id);
+    if (pending) {
+      this.pending.delete(message.id);
+      pending.resolve(message);
+      return;
+    }
+
+    this.emit('message', message);
+  }
+
+  /**
+   * Forget the stream and fail every pending request
+   * @private
+   * @param {Error} error - Error the pending requests fail with
+   */
+  _reset(error) {
+    this.endpoint = null;
+    this.connecting = null;
+    this.controller = null;
+    for (const { reject } of this.pending.values()) {
+      reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+export default LegacySSEClient;
@@ -1,20 +1,122 @@
 /**
  * @module logger
  * @description Pino logger configuration for MCP Bridge
+ * Logs never go to stdout, which carries the JSON-RPC stream: they are written to stderr or to
+ * a log file.
  */
 
 import pino from 'pino';
+import { prettyFactory } from 'pino-pretty';
+import { closeSync, existsSync, fstatSync, mkdirSync, openSync, renameSync, writeSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Log file that is rotated when it grows past a size limit
+ * `app.log` is renamed to `app.log.1`, `app.log.1` to `app.log.2` and so on, dropping the
+ * oldest file beyond `maxFiles`. Writes are synchronous so nothing is lost on exit.
+ * @class RotatingFileStream
+ */
+export class RotatingFileStream {
+  /**
+   * Open a rotating log file
+   * @param {Object} options - File options
+   * @param {string} options.file - Log file path
+   * @param {number} [options.maxSize=10485760] - Size in bytes at which the file is rotated
+   * @param {number} [options.maxFiles=5] - Number of rotated files to keep
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+
+    mkdirSync(dirname(this.file), { recursive: true });
+    this._open();
+  }
+
+  /**
+   * Append a chunk, rotating first if it would take the file past the size limit
+   * @param {string} chunk - Log line
+   * @returns {boolean} Always true (writes are synchronous)
+   */
+  write(chunk) {
+    const size = Buffer.byteLength(chunk);
+    if (this.size > 0 && this.size + size > this.maxSize) {
+      this._rotate();
+    }
+
+    writeSync(this.fd, chunk);
+    this.size += size;
+    return true;
+  }
+
+  /**
+   * Close the log file
+   */
+  end() {
+    if (this.fd !== null) {
+      closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Open the log file for appending
+   * @private
+   */
+  _open() {
+    this.fd = openSync(this.file, 'a');
+    this.size = fstatSync(this.fd).size;
+  }
+
+  /**
+   * Shift the rotated files along and start a new log file
+   * @private
+   */
+  _rotate() {
+    closeSync(this.fd);
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (existsSync(`${this.file}.${index}`)) {
+        renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+      }
+    }
+    renameSync(this.file, `${this.file}.1`);
+
+    this._open();
+  }
+}
 
 /**
  * Create a configured logger instance
  * @param {Object} options - Logger options
  * @param {string} [options.level] - Log level
- * @param {boolean} [options.pretty=true] - Use pretty printing
+ * @param {string} [options.format] - `json` or `pretty` (default: `LOG_FORMAT`, else `pretty`)
+ * @param {boolean} [options.pretty=true] - Use pretty printing (superseded by `format`)
+ * @param {string} [options.file] - Log file to write to instead of stderr
+ * @param {number} [options.maxSize] - Size in bytes at which the log file is rotated
+ * @param {number} [options.maxFiles] - Number of rotated log files to keep
+ * @param {Object} [options.destination] - Stream to write to instead of stderr or a file
  * @returns {Object} Pino logger instance
  */
 export const createLogger = (options = {}) => {
   const level = options.level || process.env.LOG_LEVEL || 'info';
-  const pretty = options.pretty !== false && process.env.NODE_ENV !== 'production';
+  const format =
+    options.format || process.env.LOG_FORMAT || (options.pretty === false ? 'json' : 'pretty');
+
+  if (!['json', 'pretty'].includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected json or pretty)`);
+  }
+
+  let destination = options.destination;
+  if (!destination && options.file) {
+    destination = new RotatingFileStream({
+      file: options.file,
+      maxSize: options.maxSize,
+      maxFiles: options.maxFiles,
+    });
+  }
+  const colorize = !destination && Boolean(process.stderr.isTTY);
+  destination = destination || pino.destination({ fd: 2, sync: true });
 
   const pinoOptions = {
     level,
@@ -22,20 +124,22 @@ export const createLogger = (options = {}) => {
     timestamp: pino.stdTimeFunctions.isoTime,
   };
 
-  if (pretty) {
-    pinoOptions.transport = {
-      target: 'pino-pretty',
-      options: {
-        colorize: true,
-        translateTime: 'SYS:standard',
-        ignore: 'pid,hostname',
-        errorProps: 'stack,cause',
-        messageFormat: '[MCP-Bridge] {msg}',
-      },
-    };
+  if (format === 'json') {
+    return pino(pinoOptions, destination);
   }
 
-  return pino(pinoOptions);
+  // Prettify in-process so the output goes to the same destination as JSON logs
+  const prettify = prettyFactory({
+    colorize,
+    translateTime: 'SYS:standard',
+    ignore: 'pid,hostname',
+    errorProps: 'stack,cause',
+    messageFormat: '[MCP-Bridge] {msg}',
+  });
+
+  return pino(pinoOptions, {
+    write: (line) => destination.write(prettify(line)),
+  });
 };
 
 // Create default logger instance
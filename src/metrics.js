@@ -0,0 +1,389 @@
+/**
+ * @module metrics
+ * @description Prometheus metrics for the bridge and an admin HTTP server exposing them
+ */
+
+import http from 'http';
+
+/**
+ * Request duration histogram buckets in seconds
+ * @type {Array<number>}
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+/**
+ * Format a label set as `{name="value",...}`
+ * @param {Object} labels - Label values
+ * @returns {string} Formatted labels, empty if there are none
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Base class for metrics keyed by label values
+ * @class Metric
+ */
+class Metric {
+  /**
+   * Create a metric
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string} type - Prometheus type
+   * @param {Array<string>} [labelNames=[]] - Label names
+   */
+  constructor(name, help, type, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Get the stored entry for a label set, creating it if needed
+   * @protected
+   * @param {Object} labels - Label values
+   * @param {Function} create - Creates a new entry
+   * @returns {Object} Entry with `labels`
+   */
+  _entry(labels, create) {
+    const picked = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+    const key = JSON.stringify(picked);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Render the metric in the Prometheus text format
+   * @returns {string} Metric lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._lines(),
+    ]
+      .map((line) => line + '\n')
+      .join('');
+  }
+
+  /**
+   * Render the samples
+   * @protected
+   * @returns {Array<string>} Sample lines
+   */
+  _lines() {
+    return [...this.values.values()].map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`,
+    );
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ * @class Counter
+ * @extends Metric
+ */
+class Counter extends Metric {
+  /**
+   * Create a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} [labelNames] - Label names
+   */
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames);
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  /**
+   * Increment the counter
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this._entry(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * Value that can go up and down
+ * @class Gauge
+ * @extends Metric
+ */
+class Gauge extends Metric {
+  /**
+   * Create a gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} [labelNames] - Label names
+   */
+  constructor(name, help, labelNames) {
+    super(name, help, 'gauge', labelNames);
+    if (this.labelNames.length === 0) {
+      this.set(0);
+    }
+  }
+
+  /**
+   * Set the gauge
+   * @param {number} value - New value
+   * @param {Object} [labels={}] - Label values
+   */
+  set(value, labels = {}) {
+    this._entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Histogram of observed values
+ * @class Histogram
+ * @extends Metric
+ */
+class Histogram extends Metric {
+  /**
+   * Create a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} [labelNames] - Label names
+   * @param {Array<number>} [buckets=DURATION_BUCKETS] - Bucket upper bounds
+   */
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {number} value - Observed value
+   * @param {Object} [labels={}] - Label values
+   */
+  observe(value, labels = {}) {
+    const entry = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Render the bucket, sum and count samples
+   * @protected
+   * @returns {Array<string>} Sample lines
+   */
+  _lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Bridge metrics
+ * @class Metrics
+ */
+export class Metrics {
+  /**
+   * Create the bridge metrics
+   * @param {Object} [options] - Metrics options
+   * @param {Function} [options.collect] - Called with the metrics before each render, to
+   *   refresh gauges
+   */
+  constructor(options = {}) {
+    this.collect = options.collect;
+
+    this.requests = new Counter(
+      'mcp_bridge_requests_total',
+      'JSON-RPC requests handled, by method, tool and outcome',
+      ['method', 'tool', 'outcome'],
+    );
+    this.requestDuration = new Histogram(
+      'mcp_bridge_request_duration_seconds',
+      'JSON-RPC request duration in seconds, by method and tool',
+      ['method', 'tool'],
+    );
+    this.upstreamResponses = new Counter(
+      'mcp_bridge_upstream_responses_total',
+      'HTTP responses from the upstream server, by HTTP method and status (error for failures)',
+      ['method', 'status'],
+    );
+    this.timeouts = new Counter(
+      'mcp_bridge_timeouts_total',
+      'Requests that timed out, by method and tool',
+      ['method', 'tool'],
+    );
+    this.eventsRelayed = new Counter(
+      'mcp_bridge_sse_events_relayed_total',
+      'Messages received over SSE and relayed to the client',
+    );
+    this.sessions = new Counter('mcp_bridge_sessions_total', 'Sessions established');
+    this.inflight = new Gauge('mcp_bridge_inflight_requests', 'Requests currently in flight');
+    this.upstreamUp = new Gauge(
+      'mcp_bridge_upstream_up',
+      'Whether the upstream server passed its last health check',
+    );
+  }
+
+  /**
+   * Record a finished JSON-RPC request
+   * @param {Object} request - JSON-RPC request
+   * @param {string} outcome - `success`, `error`, `timeout` or `cancelled`
+   * @param {number} started - Start time in milliseconds since the epoch
+   */
+  recordRequest(request, outcome, started) {
+    const labels = { method: request.method, tool: this._toolName(request) };
+    this.requests.inc({ ...labels, outcome });
+    this.requestDuration.observe((Date.now() - started) / 1000, labels);
+  }
+
+  /**
+   * Record a timed-out request
+   * @param {Object} request - JSON-RPC request
+   */
+  recordTimeout(request) {
+    this.timeouts.inc({ method: request?.method, tool: this._toolName(request) });
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    this.collect?.(this);
+    return [
+      this.requests,
+      this.requestDuration,
+      this.upstreamResponses,
+      this.timeouts,
+      this.eventsRelayed,
+      this.sessions,
+      this.inflight,
+      this.upstreamUp,
+    ]
+      .map((metric) => metric.render())
+      .join('');
+  }
+
+  /**
+   * Get the tool name label for a request
+   * @private
+   * @param {Object} [request] - JSON-RPC request
+   * @returns {string} Tool name, or an empty string for other methods
+   */
+  _toolName(request) {
+    return request?.method === 'tools/call' ? request.params?.name || '' : '';
+  }
+}
+
+/**
+ * HTTP listener serving `/metrics` and `/status` for a bridge
+ * @class AdminServer
+ */
+export class AdminServer {
+  /**
+   * Create an admin server
+   * @param {Object} options - Admin server options
+   * @param {MCPBridge} options.bridge - Bridge to report on
+   * @param {number} [options.port=9464] - Port (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to bind to
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.bridge = options.bridge;
+    this.port = options.port ?? 9464;
+    this.host = options.host || '127.0.0.1';
+    this.logger = options.logger;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} Bound address
+   */
+  async listen() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    const address = this.server.address();
+    this.logger?.info({ host: this.host, port: address.port }, 'Admin server listening');
+    return address;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+
+  /**
+   * Answer an admin request
+   * @private
+   * @param {IncomingMessage} req - HTTP request
+   * @param {ServerResponse} res - HTTP response
+   */
+  _handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+      return;
+    }
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.bridge.metrics.render());
+    } else if (pathname === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.bridge.getStatus()));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+    }
+  }
+}
+
+export default Metrics;
@@ -0,0 +1,550 @@
+/**
+ * @module oauth
+ * @description OAuth 2.1 authorization for MCP servers following the MCP authorization spec
+ */
+
+import http from 'http';
+import { spawn } from 'child_process';
+import { createHash, randomBytes } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { AuthProvider } from './auth.js';
+
+// Refresh access tokens this long before they expire
+const EXPIRY_MARGIN = 60000;
+
+// OAuth error codes with which a server may turn down a client or its redirect URI
+const CLIENT_REJECTED = new Set([
+  'invalid_client',
+  'unauthorized_client',
+  'invalid_grant',
+  'invalid_request',
+]);
+
+/**
+ * Create an error carrying the OAuth error code the server answered with
+ * @param {string} message - Error message
+ * @param {string} [code] - OAuth error code
+ * @returns {Error} Error with `code`
+ */
+const createOAuthError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Encoded string
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Convert camelCase keys to the snake_case OAuth uses for parameters and metadata
+ * Entries without a value are left out.
+ * @param {Object} params - Parameters with camelCase keys
+ * @returns {Object} Parameters with snake_case keys
+ */
+export const snakeCaseKeys = (params) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`), value]),
+  );
+
+/**
+ * Build an RFC 8414 / RFC 9728 well-known URL, inserting the well-known segment before the path
+ * @param {string} url - Resource or issuer URL
+ * @param {string} name - Well-known document name
+ * @returns {string} Well-known URL
+ */
+const wellKnownUrl = (url, name) => {
+  const { origin, pathname } = new URL(url);
+  const path = pathname === '/' ? '' : pathname.replace(/\/$/, '');
+  return `${origin}/.well-known/${name}${path}`;
+};
+
+/**
+ * Extract the `resource_metadata` parameter from a WWW-Authenticate header
+ * @param {string|null} header - WWW-Authenticate header value
+ * @returns {string|null} Protected resource metadata URL
+ */
+export const parseResourceMetadata = (header) => {
+  const match = header?.match(/resource_metadata="([^"]+)"/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Open a URL in the user's browser, ignoring failures
+ * @param {string} url - URL to open
+ */
+const openInBrowser = (url) => {
+  const commands = {
+    darwin: ['open', [url]],
+    win32: ['rundll32', ['url.dll,FileProtocolHandler', url]],
+  };
+  const [command, args] = commands[process.platform] || ['xdg-open', [url]];
+
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', () => {});
+  child.unref();
+};
+
+/**
+ * Auth provider that obtains bearer tokens through the OAuth 2.1 authorization-code flow
+ * with PKCE, dynamic client registration and a loopback redirect listener.
+ * @class OAuthProvider
+ * @extends AuthProvider
+ */
+export class OAuthProvider extends AuthProvider {
+  /**
+   * Create a new OAuth provider
+   * @param {Object} options - OAuth options
+   * @param {string} options.serverUrl - MCP server URL (the protected resource)
+   * @param {Object} [options.headers={}] - Static headers sent with every request
+   * @param {string} [options.cacheFile='~/.mcp-bridge/oauth-tokens.json'] - Token cache file
+   * @param {number} [options.redirectPort=0] - Loopback redirect port (0 picks a free port)
+   * @param {string} [options.scope] - Requested scope
+   * @param {string} [options.clientName='mcp-stdio-http-bridge'] - Client name for registration
+   * @param {number} [options.authorizationTimeout=300000] - Time to wait for the user to authorize
+   * @param {Function} [options.openBrowser] - Opens the authorization URL
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ headers: options.headers });
+    this.serverUrl = options.serverUrl;
+    this.cacheFile = options.cacheFile || join(homedir(), '.mcp-bridge', 'oauth-tokens.json');
+    this.redirectPort = options.redirectPort || 0;
+    this.scope = options.scope || null;
+    this.clientName = options.clientName || 'mcp-stdio-http-bridge';
+    this.authorizationTimeout = options.authorizationTimeout || 300000;
+    this.openBrowser = options.openBrowser || openInBrowser;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.logger = options.logger;
+    this.resourceMetadataUrl = null;
+    this.entry = undefined;
+    this.pendingRefresh = null;
+  }
+
+  /**
+   * Get the current access token, refreshing it shortly before it expires
+   * @returns {Promise<string|null>} Access token, or null before authorization
+   */
+  async getToken() {
+    const entry = await this._loadEntry();
+    const tokens = entry.tokens;
+
+    if (!tokens) {
+      return null;
+    }
+
+    if (tokens.refreshToken && tokens.expiresAt && tokens.expiresAt - EXPIRY_MARGIN < Date.now()) {
+      try {
+        await this._exclusive(() => this._refreshTokens());
+      } catch (error) {
+        this.logger?.warn({ error: error.message }, 'OAuth token refresh failed');
+      }
+    }
+
+    return this.entry.tokens?.accessToken || null;
+  }
+
+  /**
+   * Handle a 401 response by refreshing the token or running the authorization flow
+   * @param {Response} [response] - The 401 response
+   * @returns {Promise<boolean>} Whether a retry may succeed with a fresh token
+   */
+  async refresh(response) {
+    const metadataUrl = parseResourceMetadata(response?.headers?.get('WWW-Authenticate'));
+    if (metadataUrl) {
+      this.resourceMetadataUrl = metadataUrl;
+    }
+
+    try {
+      await this._exclusive(async () => {
+        const entry = await this._loadEntry();
+        if (entry.tokens?.refreshToken) {
+          try {
+            await this._refreshTokens();
+            return;
+          } catch (error) {
+            this.logger?.warn({ error: error.message }, 'OAuth token refresh failed');
+          }
+        }
+        await this.authorize();
+      });
+      return true;
+    } catch (error) {
+      this.logger?.error({ error: error.message }, 'OAuth authorization failed');
+      return false;
+    }
+  }
+
+  /**
+   * Discover the authorization server metadata for the MCP server
+   * @returns {Promise<Object>} Authorization server metadata
+   */
+  async discover() {
+    const resourceUrls = [
+      wellKnownUrl(this.serverUrl, 'oauth-protected-resource'),
+      wellKnownUrl(new URL(this.serverUrl).origin, 'oauth-protected-resource'),
+    ];
+    if (this.resourceMetadataUrl) {
+      resourceUrls.unshift(this.resourceMetadataUrl);
+    }
+
+    const resource = await this._getFirstJSON(resourceUrls);
+    const issuer = resource?.authorization_servers?.[0] || new URL(this.serverUrl).origin;
+    this.logger?.debug({ issuer }, 'Discovered authorization server');
+
+    const metadata = await this._getFirstJSON([
+      wellKnownUrl(issuer, 'oauth-authorization-server'),
+      wellKnownUrl(issuer, 'openid-configuration'),
+    ]);
+
+    // Servers without metadata use the default endpoints relative to the issuer
+    return {
+      ...snakeCaseKeys({
+        authorizationEndpoint: new URL('/authorize', issuer).href,
+        tokenEndpoint: new URL('/token', issuer).href,
+        registrationEndpoint: new URL('/register', issuer).href,
+      }),
+      ...metadata,
+    };
+  }
+
+  /**
+   * Run the full authorization-code flow with PKCE and store the resulting tokens
+   * @returns {Promise<void>}
+   * @throws {Error} If any step of the flow fails
+   */
+  async authorize() {
+    await this._loadEntry();
+    const metadata = await this.discover();
+    const reused = this._cachedClient(metadata) !== null;
+
+    try {
+      await this._authorizeWith(metadata);
+    } catch (error) {
+      if (!reused || !CLIENT_REJECTED.has(error.code)) {
+        throw error;
+      }
+      // The cached registration, or the redirect URI it is now used with, was turned down
+      this.logger?.warn(
+        { error: error.message },
+        'Cached OAuth client rejected, registering again',
+      );
+      delete this.entry.client;
+      await this._authorizeWith(metadata);
+    }
+  }
+
+  /**
+   * Run one authorization-code flow against the given authorization server
+   * @private
+   * @param {Object} metadata - Authorization server metadata
+   * @returns {Promise<void>}
+   * @throws {Error} If any step of the flow fails, with the OAuth error `code` if there is one
+   */
+  async _authorizeWith(metadata) {
+    const state = base64url(randomBytes(16));
+    const listener = await this._listen(state);
+
+    try {
+      const client = await this._register(metadata, listener.redirectUri);
+      const verifier = base64url(randomBytes(32));
+      const challenge = base64url(createHash('sha256').update(verifier).digest());
+
+      const authorizationUrl = new URL(metadata.authorization_endpoint);
+      authorizationUrl.search = new URLSearchParams(
+        snakeCaseKeys({
+          responseType: 'code',
+          clientId: client.clientId,
+          redirectUri: listener.redirectUri,
+          codeChallenge: challenge,
+          codeChallengeMethod: 'S256',
+          state,
+          resource: this.serverUrl,
+          scope: this.scope,
+        }),
+      ).toString();
+
+      this.logger?.warn(
+        { url: authorizationUrl.href },
+        'Authorization required, open this URL in a browser',
+      );
+      await this.openBrowser(authorizationUrl.href);
+
+      const code = await listener.code;
+      const tokens = await this._requestTokens(metadata, client, {
+        grantType: 'authorization_code',
+        code,
+        redirectUri: listener.redirectUri,
+        codeVerifier: verifier,
+      });
+
+      this.entry = { ...this.entry, metadata, client, tokens };
+      await this._saveEntry();
+      this.logger?.info('OAuth authorization complete');
+    } finally {
+      listener.close();
+    }
+  }
+
+  /**
+   * Exchange the refresh token for new tokens
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _refreshTokens() {
+    const { metadata, client, tokens } = this.entry;
+    if (!metadata || !client || !tokens?.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    const refreshed = await this._requestTokens(metadata, client, {
+      grantType: 'refresh_token',
+      refreshToken: tokens.refreshToken,
+    });
+
+    const refreshToken = refreshed.refreshToken || tokens.refreshToken;
+    this.entry.tokens = { ...refreshed, refreshToken };
+    await this._saveEntry();
+    this.logger?.debug('OAuth access token refreshed');
+  }
+
+  /**
+   * Get the cached client if it was registered with this authorization server
+   * @private
+   * @param {Object} metadata - Authorization server metadata
+   * @returns {Object|null} Cached client credentials
+   */
+  _cachedClient(metadata) {
+    const cached = this.entry.client;
+    return cached?.registrationEndpoint === metadata.registration_endpoint ? cached : null;
+  }
+
+  /**
+   * Register this client with the authorization server, reusing a cached registration
+   * A cached registration is used with this run's redirect URI, whose port may differ; if the
+   * server does not accept that, `authorize()` registers again.
+   * @private
+   * @param {Object} metadata - Authorization server metadata
+   * @param {string} redirectUri - Loopback redirect URI
+   * @returns {Promise<Object>} Client credentials
+   */
+  async _register(metadata, redirectUri) {
+    const cached = this._cachedClient(metadata);
+    if (cached) {
+      return { ...cached, redirectUri };
+    }
+
+    const response = await this.fetch(metadata.registration_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(
+        snakeCaseKeys({
+          clientName: this.clientName,
+          redirectUris: [redirectUri],
+          grantTypes: ['authorization_code', 'refresh_token'],
+          responseTypes: ['code'],
+          tokenEndpointAuthMethod: 'none',
+        }),
+      ),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Client registration failed with ${response.status}`);
+    }
+
+    const registration = await response.json();
+    this.logger?.debug({ clientId: registration.client_id }, 'OAuth client registered');
+
+    return {
+      clientId: registration.client_id,
+      clientSecret: registration.client_secret || null,
+      redirectUri,
+      registrationEndpoint: metadata.registration_endpoint,
+    };
+  }
+
+  /**
+   * Request tokens from the token endpoint
+   * @private
+   * @param {Object} metadata - Authorization server metadata
+   * @param {Object} client - Client credentials
+   * @param {Object} params - Grant parameters, with camelCase keys
+   * @returns {Promise<Object>} Tokens
+   */
+  async _requestTokens(metadata, client, params) {
+    const body = new URLSearchParams(
+      snakeCaseKeys({
+        ...params,
+        clientId: client.clientId,
+        resource: this.serverUrl,
+        clientSecret: client.clientSecret,
+      }),
+    );
+
+    const response = await this.fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: body.toString(),
+    });
+
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      const detail = error ? ` (${error})` : '';
+      throw createOAuthError(`Token request failed with ${response.status}${detail}`, error);
+    }
+
+    const tokens = await response.json();
+    if (!tokens.access_token) {
+      throw new Error('Token response did not include an access token');
+    }
+
+    return {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || null,
+      expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+    };
+  }
+
+  /**
+   * Start the loopback listener that receives the authorization code
+   * @private
+   * @param {string} state - Expected state parameter
+   * @returns {Promise<Object>} Listener with `redirectUri`, `code` promise and `close()`
+   */
+  async _listen(state) {
+    let settle;
+    const code = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    // The flow may fail before anyone awaits the code
+    code.catch(() => {});
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname !== '/callback') {
+        res.writeHead(404).end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      if (error || url.searchParams.get('state') !== state) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Authorization failed.');
+        settle.reject(
+          createOAuthError(`Authorization failed: ${error || 'state mismatch'}`, error),
+        );
+        return;
+      }
+
+      res
+        .writeHead(200, { 'Content-Type': 'text/plain' })
+        .end('Authorization complete. You can close this window.');
+      settle.resolve(url.searchParams.get('code'));
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.redirectPort, '127.0.0.1', resolve);
+    });
+
+    const timeoutId = setTimeout(
+      () => settle.reject(new Error('Timed out waiting for authorization')),
+      this.authorizationTimeout,
+    );
+
+    return {
+      redirectUri: `http://127.0.0.1:${server.address().port}/callback`,
+      code,
+      close: () => {
+        clearTimeout(timeoutId);
+        server.close();
+      },
+    };
+  }
+
+  /**
+   * Fetch the first URL in a list that returns JSON
+   * @private
+   * @param {Array<string>} urls - Candidate URLs
+   * @returns {Promise<Object|null>} Parsed document, or null if none were found
+   */
+  async _getFirstJSON(urls) {
+    for (const url of urls) {
+      try {
+        const response = await this.fetch(url, { headers: { Accept: 'application/json' } });
+        if (response.ok) {
+          return await response.json();
+        }
+      } catch (error) {
+        this.logger?.debug({ url, error: error.message }, 'Metadata discovery request failed');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run an operation after any in-progress refresh or authorization, joining it if pending
+   * @private
+   * @param {Function} operation - Async operation
+   * @returns {Promise<void>}
+   */
+  async _exclusive(operation) {
+    this.pendingRefresh ??= operation().finally(() => {
+      this.pendingRefresh = null;
+    });
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Load this server's entry from the token cache file
+   * @private
+   * @returns {Promise<Object>} Cache entry
+   */
+  async _loadEntry() {
+    if (this.entry === undefined) {
+      const cache = await this._readCache();
+      this.entry = cache[this.serverUrl] || {};
+    }
+    return this.entry;
+  }
+
+  /**
+   * Write this server's entry to the token cache file
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _saveEntry() {
+    const cache = await this._readCache();
+    cache[this.serverUrl] = this.entry;
+    await mkdir(dirname(this.cacheFile), { recursive: true, mode: 0o700 });
+    await writeFile(this.cacheFile, JSON.stringify(cache, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Read the token cache file
+   * @private
+   * @returns {Promise<Object>} Cache contents keyed by server URL
+   */
+  async _readCache() {
+    try {
+      return JSON.parse(await readFile(this.cacheFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger?.warn({ error: error.message }, 'Ignoring unreadable OAuth token cache');
+      }
+      return {};
+    }
+  }
+}
+
+export default OAuthProvider;
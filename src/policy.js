@@ -0,0 +1,148 @@
+/**
+ * @module policy
+ * @description Allow/deny policy for the tools, prompts and resources exposed through the bridge
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Policy categories, with the list method, item key and field each one filters on
+ * @type {Object<string, Object>}
+ */
+const CATEGORIES = {
+  tools: { list: 'tools/list', use: 'tools/call', field: 'name', label: 'Tool' },
+  prompts: { list: 'prompts/list', use: 'prompts/get', field: 'name', label: 'Prompt' },
+  resources: { list: 'resources/list', use: 'resources/read', field: 'uri', label: 'Resource' },
+};
+
+/**
+ * Convert a glob pattern (`*` and `?` wildcards) to a regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+};
+
+/**
+ * Load a policy file
+ * @param {string} path - Path to a JSON policy file
+ * @returns {Object} Policy options
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export const loadPolicy = (path) => {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read policy ${path}: ${error.message}`);
+  }
+};
+
+/**
+ * Allow/deny policy applied to requests and list responses passing through the bridge
+ * @class Policy
+ */
+export class Policy {
+  /**
+   * Create a new policy
+   * Deny patterns win over allow patterns; an empty allow list allows everything.
+   * @param {Object} [options] - Policy options
+   * @param {Object} [options.tools] - Tool name patterns (`allow` and `deny` glob arrays)
+   * @param {Object} [options.prompts] - Prompt name patterns (`allow` and `deny` glob arrays)
+   * @param {Object} [options.resources] - Resource URI patterns (`allow` and `deny` glob arrays)
+   * @param {boolean} [options.readOnly=false] - Only allow tools annotated `readOnlyHint: true`
+   */
+  constructor(options = {}) {
+    this.rules = {};
+    for (const category of Object.keys(CATEGORIES)) {
+      this.rules[category] = {
+        allow: (options[category]?.allow || []).map(globToRegExp),
+        deny: (options[category]?.deny || []).map(globToRegExp),
+      };
+    }
+    this.readOnly = Boolean(options.readOnly);
+    this.readOnlyTools = new Set();
+  }
+
+  /**
+   * Whether the policy restricts anything
+   * @returns {boolean}
+   */
+  get active() {
+    return (
+      this.readOnly ||
+      Object.values(this.rules).some((rule) => rule.allow.length > 0 || rule.deny.length > 0)
+    );
+  }
+
+  /**
+   * Check whether a request may be forwarded
+   * @param {Object} request - JSON-RPC request
+   * @returns {string|null} Reason the request is blocked, or null if it is allowed
+   */
+  checkRequest(request) {
+    for (const [category, { use, field, label }] of Object.entries(CATEGORIES)) {
+      if (request?.method !== use) {
+        continue;
+      }
+
+      const value = request.params?.[field];
+      if (!this._allows(category, value)) {
+        return `${label} "${value}" is not allowed by the bridge policy`;
+      }
+
+      if (category === 'tools' && this.readOnly && !this.readOnlyTools.has(value)) {
+        return `Tool "${value}" is not allowed in read-only mode`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove disallowed items from a list response
+   * @param {Object} request - JSON-RPC request the response answers
+   * @param {Object} response - JSON-RPC response
+   * @returns {Object} Filtered response
+   */
+  filterResponse(request, response) {
+    const entry = Object.entries(CATEGORIES).find(([, { list }]) => list === request?.method);
+    const items = entry && response?.result?.[entry[0]];
+
+    if (!Array.isArray(items)) {
+      return response;
+    }
+
+    const [category, { field }] = entry;
+    let allowed = items.filter((item) => this._allows(category, item[field]));
+
+    if (category === 'tools' && this.readOnly) {
+      allowed = allowed.filter((tool) => tool.annotations?.readOnlyHint === true);
+      for (const tool of allowed) {
+        this.readOnlyTools.add(tool.name);
+      }
+    }
+
+    return { ...response, result: { ...response.result, [category]: allowed } };
+  }
+
+  /**
+   * Check a name or URI against a category's patterns
+   * @private
+   * @param {string} category - Policy category
+   * @param {string} value - Name or URI
+   * @returns {boolean}
+   */
+  _allows(category, value) {
+    const { allow, deny } = this.rules[category];
+    const text = String(value);
+
+    if (deny.some((pattern) => pattern.test(text))) {
+      return false;
+    }
+    return allow.length === 0 || allow.some((pattern) => pattern.test(text));
+  }
+}
+
+export default Policy;
@@ -0,0 +1,370 @@
+/**
+ * @module recorder
+ * @description Traffic recording to JSONL and deterministic replay of recorded upstream traffic
+ */
+
+import http from 'http';
+import { createWriteStream, readFileSync } from 'fs';
+
+/**
+ * Parse a JSON string, returning the raw string if it is not JSON
+ * @param {string} text - Text to parse
+ * @returns {any} Parsed value or the original text
+ */
+const parseMaybeJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Convert response headers (Headers, Map or plain object) to a plain object
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Plain headers object
+ */
+const headersToObject = (headers) => {
+  if (!headers) {
+    return {};
+  }
+  return typeof headers.entries === 'function'
+    ? Object.fromEntries(headers.entries())
+    : { ...headers };
+};
+
+/**
+ * Records bridge traffic as timestamped JSONL entries
+ * Entry types are `stdin`, `stdout`, `http-request`, `http-response`, `http-body` and
+ * `sse-event`. HTTP entries share an `exchange` number tying a request to its response.
+ * @class Recorder
+ */
+export class Recorder {
+  /**
+   * Create a new recorder
+   * @param {Object} options - Recorder options
+   * @param {string} [options.file] - JSONL file to append to
+   * @param {WritableStream} [options.stream] - Stream to write to instead of a file
+   * @param {Function} [options.getSessionId] - Returns the current session ID for each entry
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || createWriteStream(options.file, { flags: 'a' });
+    this.getSessionId = options.getSessionId || (() => null);
+    this.exchangeCount = 0;
+    this.responses = new WeakMap();
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Entry with at least a `type`
+   */
+  record(entry) {
+    const line = { ts: new Date().toISOString(), sessionId: this.getSessionId(), ...entry };
+    this.stream.write(JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * Record a line read from or written to the stdio client
+   * @param {string} direction - `stdin` or `stdout`
+   * @param {string} line - JSON-RPC line
+   */
+  recordMessage(direction, line) {
+    this.record({ type: direction, message: parseMaybeJSON(line.trim()) });
+  }
+
+  /**
+   * Record an outgoing HTTP request
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Request URL
+   * @param {Object} request.headers - Request headers (already redacted)
+   * @param {string} [request.body] - Request body
+   * @returns {number} Exchange number
+   */
+  startExchange({ method, url, headers, body }) {
+    const exchange = ++this.exchangeCount;
+    this.record({
+      type: 'http-request',
+      exchange,
+      method,
+      url,
+      headers,
+      body: body === undefined ? undefined : parseMaybeJSON(body),
+    });
+    return exchange;
+  }
+
+  /**
+   * Record the status and headers of an HTTP response
+   * @param {number} exchange - Exchange number
+   * @param {Response} response - Fetch response
+   */
+  endExchange(exchange, response) {
+    this.responses.set(response, exchange);
+    this.record({
+      type: 'http-response',
+      exchange,
+      status: response.status ?? (response.ok ? 200 : 500),
+      headers: headersToObject(response.headers),
+    });
+  }
+
+  /**
+   * Record a parsed JSON response body
+   * @param {Response} response - Fetch response the body came from
+   * @param {any} body - Parsed body
+   */
+  recordBody(response, body) {
+    this.record({ type: 'http-body', exchange: this.responses.get(response), body });
+  }
+
+  /**
+   * Record an SSE event
+   * @param {Response} response - Fetch response the event came from
+   * @param {Object} event - Parsed SSE event
+   */
+  recordEvent(response, event) {
+    this.record({
+      type: 'sse-event',
+      exchange: this.responses.get(response),
+      event: event.event,
+      id: event.id,
+      data: parseMaybeJSON(event.data),
+    });
+  }
+
+  /**
+   * Flush and close the recording
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Load a recording and group its HTTP entries into exchanges
+ * @param {string} file - JSONL recording
+ * @returns {Array<Object>} Exchanges in request order, each with `request`, `response`,
+ *   `body` and `events`
+ * @throws {Error} If the file cannot be read
+ */
+export const loadRecording = (file) => {
+  const exchanges = new Map();
+
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const entry = JSON.parse(line);
+    if (entry.exchange === undefined) {
+      continue;
+    }
+
+    if (!exchanges.has(entry.exchange)) {
+      exchanges.set(entry.exchange, { request: null, response: null, body: undefined, events: [] });
+    }
+    const exchange = exchanges.get(entry.exchange);
+
+    if (entry.type === 'http-request') {
+      exchange.request = entry;
+    } else if (entry.type === 'http-response') {
+      exchange.response = entry;
+    } else if (entry.type === 'http-body') {
+      exchange.body = entry.body;
+    } else if (entry.type === 'sse-event') {
+      exchange.events.push(entry);
+    }
+  }
+
+  return [...exchanges.values()].filter((exchange) => exchange.request && exchange.response);
+};
+
+/**
+ * Fake upstream that answers requests from a recording
+ * Requests are matched in order by HTTP method, path, JSON-RPC method and id; each recorded
+ * exchange is used once, except health checks.
+ * @class ReplayUpstream
+ */
+export class ReplayUpstream {
+  /**
+   * Create a replay upstream
+   * @param {Object} options - Replay options
+   * @param {string} [options.file] - JSONL recording
+   * @param {Array<Object>} [options.exchanges] - Pre-loaded exchanges (see `loadRecording`)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.exchanges = options.exchanges || loadRecording(options.file);
+    this.used = new Set();
+    this.logger = options.logger;
+    this.server = null;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Find the recorded exchange for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} [body] - Request body
+   * @returns {Object|null} Exchange
+   */
+  match(method, url, body) {
+    const path = new URL(url, 'http://localhost').pathname;
+    const message = body ? parseMaybeJSON(body) : null;
+
+    const candidates = this.exchanges.filter(
+      (exchange) =>
+        exchange.request.method === method &&
+        new URL(exchange.request.url).pathname === path &&
+        (path.endsWith('/health') || !this.used.has(exchange)),
+    );
+
+    const sameMethod = (exchange) => exchange.request.body?.method === message?.method;
+    const sameId = (exchange) => exchange.request.body?.id === message?.id;
+
+    const exchange =
+      candidates.find((candidate) => sameMethod(candidate) && sameId(candidate)) ||
+      candidates.find(sameMethod) ||
+      null;
+
+    if (exchange) {
+      this.used.add(exchange);
+    }
+    return exchange;
+  }
+
+  /**
+   * Fetch implementation answering from the recording, for `MCPBridge`'s `fetch` option
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch options
+   * @returns {Promise<Response>} Recorded response
+   */
+  async fetch(url, init = {}) {
+    const { status, headers, body } = this._reply(init.method || 'GET', url, init.body);
+    return new Response(body, { status, headers });
+  }
+
+  /**
+   * Serve the recording over HTTP so a bridge can use it as its upstream
+   * @param {Object} [options] - Listen options
+   * @param {number} [options.port=3200] - Port (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host
+   * @returns {Promise<Object>} Bound address
+   */
+  async listen(options = {}) {
+    this.server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) {
+        body += chunk;
+      }
+
+      const reply = this._reply(req.method, req.url, body || undefined);
+      res.writeHead(reply.status, reply.headers);
+      res.end(reply.body ?? undefined);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(options.port ?? 3200, options.host || '127.0.0.1', resolve);
+    });
+
+    return this.server.address();
+  }
+
+  /**
+   * Stop serving the recording
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+
+  /**
+   * Build the reply for a request
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} [body] - Request body
+   * @returns {Object} `{ status, headers, body }`
+   */
+  _reply(method, url, body) {
+    const exchange = this.match(method, url, body);
+
+    if (!exchange) {
+      this.logger?.warn({ method, url }, 'No recorded exchange for request');
+      return this._unmatched(method, url, body);
+    }
+
+    const { status } = exchange.response;
+    const headers = { ...exchange.response.headers };
+    delete headers['content-length'];
+    delete headers['transfer-encoding'];
+
+    let replyBody = null;
+    if (exchange.events.length > 0) {
+      replyBody = exchange.events
+        .map((event) => {
+          const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+          const id = event.id === undefined ? '' : `id: ${event.id}\n`;
+          return `${id}event: ${event.event}\ndata: ${data}\n\n`;
+        })
+        .join('');
+    } else if (exchange.body !== undefined) {
+      replyBody = JSON.stringify(exchange.body);
+    }
+
+    // Statuses that must not carry a body
+    if (status === 204 || status === 304) {
+      replyBody = null;
+    }
+
+    return { status, headers, body: replyBody };
+  }
+
+  /**
+   * Build the reply for a request with no recorded exchange
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} [body] - Request body
+   * @returns {Object} `{ status, headers, body }`
+   */
+  _unmatched(method, url, body) {
+    if (new URL(url, 'http://localhost').pathname.endsWith('/health')) {
+      return {
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ status: 'healthy' }),
+      };
+    }
+
+    // Stop the bridge from reopening event streams that were not recorded
+    if (method === 'GET') {
+      return { status: 405, headers: {}, body: null };
+    }
+
+    const message = body ? parseMaybeJSON(body) : null;
+    if (method !== 'POST' || message?.id === undefined) {
+      return { status: 202, headers: {}, body: null };
+    }
+
+    return {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: `No recorded response for ${message.method}` },
+        id: message.id,
+      }),
+    };
+  }
+}
+
+export default Recorder;
@@ -0,0 +1,611 @@
+/**
+ * @module server
+ * @description Expose a stdio MCP server over the Streamable HTTP transport
+ */
+
+import http from 'http';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+/**
+ * Streamable HTTP server that gives each session its own stdio MCP server process
+ * @class MCPHTTPServer
+ * @extends EventEmitter
+ */
+export class MCPHTTPServer extends EventEmitter {
+  /**
+   * Create a new Streamable HTTP server
+   * @param {Object} options - Server configuration options
+   * @param {string} options.command - Command that starts the stdio MCP server
+   * @param {Array<string>} [options.args=[]] - Command arguments
+   * @param {number} [options.port=3200] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to bind to
+   * @param {string} [options.path='/mcp'] - MCP endpoint path
+   * @param {Object} [options.env] - Extra environment variables for the server process
+   * @param {string} [options.cwd] - Working directory for the server process
+   * @param {number} [options.maxBacklog=100] - Messages kept for a session with no GET stream
+   *   open; the oldest are dropped beyond this
+   * @param {number} [options.maxSessions=100] - Sessions (and server processes) allowed at once
+   * @param {number} [options.maxBodySize=4194304] - Largest POST body accepted, in bytes
+   * @param {Array<string>} [options.allowedOrigins] - Browser origins allowed to connect, in
+   *   addition to loopback origins; requests without an `Origin` header are always allowed
+   * @param {string} [options.logLevel] - Log level (trace/debug/info/warn/error/fatal)
+   * @param {Object} [options.logger] - Custom logger instance
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.command) {
+      throw new Error('A stdio server command is required');
+    }
+
+    this.command = options.command;
+    this.args = options.args || [];
+    this.port = options.port ?? 3200;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || '/mcp';
+    this.env = options.env;
+    this.cwd = options.cwd;
+    this.maxBacklog = options.maxBacklog ?? 100;
+    this.maxSessions = options.maxSessions ?? 100;
+    this.maxBodySize = options.maxBodySize ?? 4 * 1024 * 1024;
+    this.allowedOrigins = new Set(options.allowedOrigins || []);
+    // Served at the root and where the bridge derives it from the MCP path (`/api/mcp` ->
+    // `/api/health`)
+    this.healthPaths = new Set(['/health']);
+    if (/\/mcp\/?$/.test(this.path)) {
+      this.healthPaths.add(this.path.replace(/\/mcp\/?$/, '/health'));
+    }
+    this.sessions = new Map();
+    this.server = null;
+
+    // Setup logger
+    this.logger =
+      options.logger ||
+      createLogger({
+        level: options.logLevel || process.env.LOG_LEVEL,
+      });
+  }
+
+  /**
+   * Start listening for HTTP requests
+   * @returns {Promise<Object>} Bound address (`port`, `address`)
+   */
+  async start() {
+    if (this.server) {
+      throw new Error('Server is already running');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch((error) => {
+        this.logger.error(error, 'Failed to handle HTTP request');
+        if (!res.headersSent) {
+          this._sendJSON(res, 500, this._createErrorResponse(-32603, 'Internal error', null));
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    const address = this.server.address();
+    this.logger.info(
+      { url: `http://${this.host}:${address.port}${this.path}`, command: this.command },
+      'MCP HTTP server listening',
+    );
+    this.emit('start', address);
+    return address;
+  }
+
+  /**
+   * Stop the server and terminate every session process
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    this.logger.info('Stopping MCP HTTP server');
+    for (const session of this.sessions.values()) {
+      this._closeSession(session);
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(resolve));
+    this.emit('stop');
+  }
+
+  /**
+   * Route an HTTP request
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    this.logger.debug({ method: req.method, path: pathname }, 'HTTP request received');
+
+    if (this.healthPaths.has(pathname) && req.method === 'GET') {
+      this._sendJSON(res, 200, { status: 'healthy', sessions: this.sessions.size });
+      return;
+    }
+
+    if (pathname !== this.path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    // Guards against DNS rebinding: a page on another origin must not reach a local server
+    const origin = req.headers.origin;
+    if (origin && !this._isAllowedOrigin(origin)) {
+      this.logger.warn({ origin }, 'Rejecting request from disallowed origin');
+      this._sendJSON(res, 403, this._createErrorResponse(-32000, 'Origin not allowed', null));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      await this._handlePost(req, res);
+    } else if (req.method === 'GET') {
+      this._handleGet(req, res);
+    } else if (req.method === 'DELETE') {
+      this._handleDelete(req, res);
+    } else {
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+    }
+  }
+
+  /**
+   * Handle a POST carrying one or more JSON-RPC messages
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handlePost(req, res) {
+    let text;
+    try {
+      text = await this._readBody(req);
+    } catch (error) {
+      this.logger.warn({ error: error.message }, 'Failed to read request body');
+      res.setHeader('Connection', 'close');
+      this._sendJSON(res, 413, this._createErrorResponse(-32600, error.message, null));
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      this.logger.warn({ error: error.message }, 'Failed to parse request body');
+      this._sendJSON(res, 400, this._createErrorResponse(-32700, 'Parse error', null));
+      return;
+    }
+
+    const batch = Array.isArray(body);
+    const messages = batch ? body : [body];
+    const isInitialize = messages.some((message) => message?.method === 'initialize');
+
+    let session;
+    if (isInitialize && !req.headers['mcp-session-id']) {
+      if (this.sessions.size >= this.maxSessions) {
+        this.logger.warn({ maxSessions: this.maxSessions }, 'Rejecting session, limit reached');
+        const error = this._createErrorResponse(-32000, 'Too many sessions', null);
+        res.setHeader('Retry-After', '1');
+        this._sendJSON(res, 503, error);
+        return;
+      }
+      session = this._createSession();
+      res.setHeader('Mcp-Session-Id', session.id);
+    } else {
+      session = this._getSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    const requestIds = messages
+      .filter((message) => typeof message?.method === 'string' && message.id !== undefined)
+      .map((message) => message.id);
+
+    for (const message of messages) {
+      this._writeToChild(session, message);
+    }
+
+    // Notifications and responses only
+    if (requestIds.length === 0) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    const exchange = {
+      res,
+      batch,
+      pending: new Set(requestIds),
+      responses: [],
+      progressTokens: new Set(
+        messages
+          .map((message) => message?.params?._meta?.progressToken)
+          .filter((token) => token !== undefined),
+      ),
+      sse: (req.headers.accept || '').includes('text/event-stream'),
+    };
+
+    if (exchange.sse) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.flushHeaders();
+    }
+
+    session.exchanges.add(exchange);
+    res.on('close', () => session.exchanges.delete(exchange));
+  }
+
+  /**
+   * Handle a GET opening the standalone SSE stream for server-initiated messages
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(406).end();
+      return;
+    }
+
+    const session = this._getSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    session.streams.add(res);
+    res.on('close', () => session.streams.delete(res));
+    this.logger.debug({ sessionId: session.id }, 'Event stream opened');
+
+    // Deliver messages that arrived while no stream was open
+    for (const message of session.backlog.splice(0)) {
+      this._writeEvent(res, message);
+    }
+  }
+
+  /**
+   * Handle a DELETE terminating a session
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handleDelete(req, res) {
+    const session = this._getSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    this._closeSession(session);
+    res.writeHead(204).end();
+  }
+
+  /**
+   * Check whether a browser origin may connect
+   * Loopback origins are always allowed, since the server binds to loopback by default.
+   * @private
+   * @param {string} origin - `Origin` header value
+   * @returns {boolean}
+   */
+  _isAllowedOrigin(origin) {
+    if (this.allowedOrigins.has(origin)) {
+      return true;
+    }
+
+    try {
+      const { hostname } = new URL(origin);
+      return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Look up the session named by the request, answering 400/404 if there is none
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Object|null} Session
+   */
+  _getSession(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (!sessionId) {
+      this._sendJSON(res, 400, this._createErrorResponse(-32600, 'Missing session ID', null));
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this._sendJSON(res, 404, this._createErrorResponse(-32001, 'Session not found', null));
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Create a session backed by a new stdio server process
+   * @private
+   * @returns {Object} Session
+   */
+  _createSession() {
+    const id = randomUUID();
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    const session = { id, child, exchanges: new Set(), streams: new Set(), backlog: [] };
+    this.sessions.set(id, session);
+    this.logger.info({ sessionId: id, pid: child.pid }, 'Session created');
+    this.emit('session', id);
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      if (line.trim()) {
+        this._handleChildLine(session, line.trim());
+      }
+    });
+
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      this.logger.debug({ sessionId: id }, `[server] ${line}`);
+    });
+
+    child.stdin.on('error', (error) => {
+      this.logger.warn({ sessionId: id, error: error.message }, 'Server process input closed');
+    });
+
+    // A process that cannot be spawned emits `error` but never `exit`
+    child.on('error', (error) => {
+      this.logger.error({ sessionId: id, error: error.message }, 'Server process failed');
+      this._failExchanges(session, `Server process failed: ${error.message}`);
+      this._closeSession(session);
+    });
+
+    child.on('exit', (code, signal) => {
+      this.logger.info({ sessionId: id, code, signal }, 'Server process exited');
+      this._failExchanges(session, 'Server process exited');
+      this._closeSession(session);
+    });
+
+    return session;
+  }
+
+  /**
+   * Terminate a session and its server process
+   * @private
+   * @param {Object} session - Session
+   */
+  _closeSession(session) {
+    if (!this.sessions.delete(session.id)) {
+      return;
+    }
+
+    this._failExchanges(session, 'Session closed');
+    for (const stream of session.streams) {
+      stream.end();
+    }
+    session.child.stdin.end();
+    session.child.kill();
+
+    this.logger.info({ sessionId: session.id }, 'Session closed');
+    this.emit('session-closed', session.id);
+  }
+
+  /**
+   * Write a JSON-RPC message to a session's server process
+   * @private
+   * @param {Object} session - Session
+   * @param {Object} message - JSON-RPC message
+   */
+  _writeToChild(session, message) {
+    this.logger.trace({ sessionId: session.id, message }, 'Writing to server process');
+    session.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Route a line written by a session's server process
+   * @private
+   * @param {Object} session - Session
+   * @param {string} line - Output line
+   */
+  _handleChildLine(session, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.logger.warn(
+        { sessionId: session.id, line, error: error.message },
+        'Ignoring non-JSON server output',
+      );
+      return;
+    }
+
+    // `null`, numbers and strings parse as JSON but are not JSON-RPC messages
+    if (typeof message !== 'object' || message === null) {
+      this.logger.warn({ sessionId: session.id, line }, 'Ignoring non-JSON-RPC server output');
+      return;
+    }
+
+    this.logger.trace({ sessionId: session.id, message }, 'Received from server process');
+
+    const exchanges = [...session.exchanges];
+    const isResponse = message.method === undefined;
+
+    if (isResponse) {
+      const exchange = exchanges.find((candidate) => candidate.pending.has(message.id));
+      if (exchange) {
+        this._respond(session, exchange, message);
+      } else {
+        this.logger.warn({ id: message.id }, 'Dropping response to unknown request');
+      }
+      return;
+    }
+
+    // Progress goes to the stream of the request that asked for it
+    const token = message.params?.progressToken;
+    const related = exchanges.find(
+      (candidate) => candidate.sse && candidate.progressTokens.has(token),
+    );
+    if (related) {
+      this._writeEvent(related.res, message);
+      return;
+    }
+
+    if (session.streams.size > 0) {
+      for (const stream of session.streams) {
+        this._writeEvent(stream, message);
+      }
+      return;
+    }
+
+    const open = exchanges.reverse().find((candidate) => candidate.sse);
+    if (open) {
+      this._writeEvent(open.res, message);
+    } else {
+      session.backlog.push(message);
+      if (session.backlog.length > this.maxBacklog) {
+        session.backlog.shift();
+        this.logger.warn(
+          { sessionId: session.id, maxBacklog: this.maxBacklog },
+          'No event stream open, dropping oldest undelivered message',
+        );
+      }
+    }
+  }
+
+  /**
+   * Deliver a response to the exchange waiting for it, completing the exchange when done
+   * @private
+   * @param {Object} session - Session
+   * @param {Object} exchange - Pending POST exchange
+   * @param {Object} message - JSON-RPC response
+   */
+  _respond(session, exchange, message) {
+    exchange.pending.delete(message.id);
+
+    if (exchange.sse) {
+      this._writeEvent(exchange.res, message);
+    } else {
+      exchange.responses.push(message);
+    }
+
+    if (exchange.pending.size > 0) {
+      return;
+    }
+
+    session.exchanges.delete(exchange);
+    if (exchange.sse) {
+      exchange.res.end();
+    } else {
+      const body = exchange.batch ? exchange.responses : exchange.responses[0];
+      this._sendJSON(exchange.res, 200, body);
+    }
+  }
+
+  /**
+   * Answer every pending request of a session with an error
+   * @private
+   * @param {Object} session - Session
+   * @param {string} reason - Error message
+   */
+  _failExchanges(session, reason) {
+    for (const exchange of [...session.exchanges]) {
+      for (const id of [...exchange.pending]) {
+        this._respond(session, exchange, this._createErrorResponse(-32603, reason, id));
+      }
+    }
+  }
+
+  /**
+   * Write a message as an SSE event
+   * @private
+   * @param {http.ServerResponse} res - SSE response
+   * @param {Object} message - JSON-RPC message
+   */
+  _writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  _sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Read a request body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>} Body text
+   * @throws {Error} If the body is larger than `maxBodySize`
+   */
+  async _readBody(req) {
+    const tooLarge = new Error(`Request body exceeds ${this.maxBodySize} bytes`);
+    if (Number(req.headers['content-length']) > this.maxBodySize) {
+      throw tooLarge;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        throw tooLarge;
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+  }
+
+  /**
+   * Create a JSON-RPC error response
+   * @private
+   * @param {number} code - Error code
+   * @param {string} message - Error message
+   * @param {any} id - Request ID
+   * @returns {Object} Error response
+   */
+  _createErrorResponse(code, message, id) {
+    return {
+      jsonrpc: '2.0',
+      error: {
+        code,
+        message,
+      },
+      id: id ?? null,
+    };
+  }
+}
+
+export default MCPHTTPServer;
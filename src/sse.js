@@ -0,0 +1,154 @@
+/**
+ * @module sse
+ * @description Incremental Server-Sent Events parser for MCP streaming responses
+ */
+
+/**
+ * Incremental parser for the `text/event-stream` format.
+ * Feed it decoded text chunks as they arrive and it returns every event
+ * completed by that chunk.
+ * @class SSEParser
+ */
+export class SSEParser {
+  /**
+   * Create a new SSE parser
+   */
+  constructor() {
+    this.buffer = '';
+    this.data = [];
+    this.eventType = '';
+    this.eventId = undefined;
+    this.lastEventId = null;
+    this.retry = null;
+  }
+
+  /**
+   * Feed a chunk of text into the parser
+   * @param {string} chunk - Decoded stream text
+   * @returns {Array<Object>} Events completed by this chunk
+   */
+  feed(chunk) {
+    this.buffer += chunk;
+    const events = [];
+
+    let match;
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+
+    while ((match = lineBreak.exec(this.buffer)) !== null) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+        break;
+      }
+
+      const line = this.buffer.slice(start, match.index);
+      start = match.index + match[0].length;
+
+      const event = this._processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return events;
+  }
+
+  /**
+   * Discard any partially received event before reading a reconnected stream
+   * The last event ID and retry interval are kept.
+   */
+  reset() {
+    this.buffer = '';
+    this.data = [];
+    this.eventType = '';
+    this.eventId = undefined;
+  }
+
+  /**
+   * Process a single line of the stream
+   * @private
+   * @param {string} line - Line without terminator
+   * @returns {Object|null} Dispatched event, if the line completed one
+   */
+  _processLine(line) {
+    if (line === '') {
+      return this._dispatch();
+    }
+
+    // Comment line
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'data') {
+      this.data.push(value);
+    } else if (field === 'event') {
+      this.eventType = value;
+    } else if (field === 'id' && !value.includes('\0')) {
+      this.eventId = value;
+    } else if (field === 'retry' && /^\d+$/.test(value)) {
+      this.retry = parseInt(value, 10);
+    }
+    // Unknown fields are ignored per the SSE specification
+
+    return null;
+  }
+
+  /**
+   * Dispatch the event accumulated so far
+   * @private
+   * @returns {Object|null} Event, or null if there was no data
+   */
+  _dispatch() {
+    if (this.eventId !== undefined) {
+      this.lastEventId = this.eventId;
+    }
+
+    const hasData = this.data.length > 0;
+    const event = {
+      event: this.eventType || 'message',
+      data: this.data.join('\n'),
+      id: this.eventId,
+      retry: this.retry,
+    };
+
+    this.data = [];
+    this.eventType = '';
+    this.eventId = undefined;
+
+    return hasData ? event : null;
+  }
+}
+
+/**
+ * Read a fetch response body as a sequence of SSE events
+ * @param {Response} response - Fetch response with a `text/event-stream` body
+ * @param {SSEParser} [parser] - Parser instance to use (exposes `lastEventId` and `retry`)
+ * @yields {Object} Parsed SSE events
+ */
+export async function* readEventStream(response, parser = new SSEParser()) {
+  const decoder = new TextDecoder();
+
+  if (!response.body) {
+    // Fall back to buffering for fetch implementations without streaming bodies
+    yield* parser.feed((await response.text()) + '\n\n');
+    return;
+  }
+
+  for await (const chunk of response.body) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* parser.feed(text);
+  }
+
+  yield* parser.feed(decoder.decode() + '\n');
+}
+
+export default SSEParser;
@@ -0,0 +1,237 @@
+/**
+ * @module supervisor
+ * @description Launch and supervise a local HTTP MCP server process
+ */
+
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Keeps an HTTP MCP server process running: waits for it to become healthy, restarts it with
+ * exponential backoff when it exits, and kills it on stop
+ * @class ServerSupervisor
+ * @extends EventEmitter
+ */
+export class ServerSupervisor extends EventEmitter {
+  /**
+   * Create a new supervisor
+   * @param {Object} options - Supervisor options
+   * @param {string} options.command - Command that starts the HTTP MCP server
+   * @param {Array<string>} [options.args=[]] - Command arguments
+   * @param {Object} [options.env] - Extra environment variables for the server process
+   * @param {string} [options.cwd] - Working directory for the server process
+   * @param {Function} options.checkHealth - Resolves when the server is healthy, rejects otherwise
+   * @param {number} [options.startupTimeout=30000] - Time allowed to become healthy in ms
+   * @param {number} [options.pollInterval=250] - Health poll interval during startup in ms
+   * @param {number} [options.restartDelay=1000] - Initial restart delay in ms
+   * @param {number} [options.maxRestartDelay=30000] - Maximum restart delay in ms
+   * @param {number} [options.killTimeout=5000] - Time allowed to exit after SIGTERM before SIGKILL
+   * @param {string} [options.logLevel] - Log level (trace/debug/info/warn/error/fatal)
+   * @param {Object} [options.logger] - Custom logger instance
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.command) {
+      throw new Error('A server command is required');
+    }
+    if (typeof options.checkHealth !== 'function') {
+      throw new Error('A health check is required');
+    }
+
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env;
+    this.cwd = options.cwd;
+    this.checkHealth = options.checkHealth;
+    this.startupTimeout = options.startupTimeout || 30000;
+    this.pollInterval = options.pollInterval || 250;
+    this.restartDelay = options.restartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.killTimeout = options.killTimeout || 5000;
+    this.running = false;
+    this.child = null;
+    this.exited = null;
+    this.restartAttempt = 0;
+    this.restartTimer = null;
+
+    // Setup logger
+    this.logger =
+      options.logger ||
+      createLogger({
+        level: options.logLevel || process.env.LOG_LEVEL,
+      });
+  }
+
+  /**
+   * Launch the server and wait until it is healthy
+   * The process is killed if it does not become healthy within the startup timeout.
+   * @returns {Promise<void>}
+   * @throws {Error} If the server exits or times out before becoming healthy
+   */
+  async start() {
+    if (this.running) {
+      throw new Error('Supervisor is already running');
+    }
+
+    this.running = true;
+    try {
+      await this._launch();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop supervising and kill the server process
+   * Sends SIGTERM, then SIGKILL if the process has not exited within the kill timeout.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    const { child, exited } = this;
+    if (!child) {
+      return;
+    }
+
+    this.logger.info({ pid: child.pid }, 'Stopping server process');
+    child.kill('SIGTERM');
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), this.killTimeout);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  /**
+   * Spawn the server process and wait for it to become healthy
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _launch() {
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    this.child = child;
+    this.exited = new Promise((resolve) => {
+      child.once('error', (error) => {
+        this.logger.error({ error: error.message }, 'Server process failed');
+        resolve({ error });
+      });
+      child.once('exit', (code, signal) => resolve({ code, signal }));
+    }).then((exit) => {
+      this._handleExit(child, exit);
+      return exit;
+    });
+
+    this.logger.info({ command: this.command, pid: child.pid }, 'Server process started');
+    this.emit('spawn', child.pid);
+
+    // Keep the server's output away from stdout, which carries JSON-RPC
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      this.logger.debug(`[server] ${line}`);
+    });
+
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      this.logger.info(`[server] ${line}`);
+    });
+
+    await this._waitUntilHealthy(child);
+
+    this.restartAttempt = 0;
+    this.logger.info({ pid: child.pid }, 'Server is healthy');
+    this.emit('ready', child.pid);
+  }
+
+  /**
+   * Poll the health check until it passes
+   * @private
+   * @param {ChildProcess} child - Server process
+   * @returns {Promise<void>}
+   * @throws {Error} If the process exits, the supervisor stops or the startup timeout elapses
+   */
+  async _waitUntilHealthy(child) {
+    const deadline = Date.now() + this.startupTimeout;
+
+    for (;;) {
+      if (this.child !== child || !this.running) {
+        throw new Error('Server process exited before becoming healthy');
+      }
+
+      try {
+        await this.checkHealth();
+        return;
+      } catch (error) {
+        if (Date.now() >= deadline) {
+          throw new Error(
+            `Server did not become healthy within ${this.startupTimeout}ms: ${error.message}`,
+          );
+        }
+      }
+
+      await sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Handle the server process exiting, restarting it unless the supervisor was stopped
+   * @private
+   * @param {ChildProcess} child - Server process
+   * @param {Object} exit - Exit details (`code`, `signal` or `error`)
+   */
+  _handleExit(child, exit) {
+    if (this.child !== child) {
+      return;
+    }
+
+    this.child = null;
+    this.logger.info({ code: exit.code, signal: exit.signal }, 'Server process exited');
+    this.emit('exit', exit);
+
+    if (this.running) {
+      this._scheduleRestart();
+    }
+  }
+
+  /**
+   * Restart the server after an exponential backoff delay
+   * @private
+   */
+  _scheduleRestart() {
+    const delay = Math.min(this.restartDelay * 2 ** this.restartAttempt, this.maxRestartDelay);
+    this.restartAttempt++;
+    this.logger.warn({ delay, attempt: this.restartAttempt }, 'Restarting server process');
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      if (!this.running) {
+        return;
+      }
+
+      this.emit('restart', this.restartAttempt);
+      try {
+        await this._launch();
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Server restart failed');
+        // Kill a process that started but never became healthy; its exit schedules a retry
+        this.child?.kill('SIGKILL');
+      }
+    }, delay);
+  }
+}
+
+export default ServerSupervisor;
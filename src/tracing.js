@@ -0,0 +1,311 @@
+/**
+ * @module tracing
+ * @description Request tracing with W3C trace context and OTLP/HTTP or JSONL span export
+ */
+
+import { randomBytes } from 'crypto';
+import { createWriteStream } from 'fs';
+import { performance } from 'perf_hooks';
+
+/**
+ * OTLP span kinds
+ * @type {Object<string, number>}
+ */
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+
+/**
+ * OTLP status codes
+ * @type {Object<string, number>}
+ */
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Current time in nanoseconds since the epoch, with microsecond precision
+ * @returns {bigint} Timestamp
+ */
+const nowNanos = () =>
+  BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+
+/**
+ * Parse a W3C `traceparent` header value
+ * @param {string} [value] - Header value, e.g. `00-<trace-id>-<span-id>-01`
+ * @returns {Object|null} `{ traceId, spanId }`, or null if the value is missing or invalid
+ */
+export const parseTraceparent = (value) => {
+  const match = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/.exec(
+    String(value ?? '')
+      .trim()
+      .toLowerCase(),
+  );
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+};
+
+/**
+ * Convert an attribute value to an OTLP `AnyValue`
+ * @param {any} value - Attribute value
+ * @returns {Object} OTLP value
+ */
+const toAnyValue = (value) => {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+};
+
+/**
+ * A timed operation within a trace
+ * @class Span
+ */
+export class Span {
+  /**
+   * Start a span
+   * @param {Tracer} tracer - Tracer that exports the span when it ends
+   * @param {string} name - Span name
+   * @param {Object} [options] - Span options
+   * @param {Object} [options.parent] - Parent span or remote context (`traceId`, `spanId`)
+   * @param {string} [options.kind='internal'] - `internal`, `server` or `client`
+   * @param {Object} [options.attributes] - Initial attributes
+   */
+  constructor(tracer, name, options = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || 'internal';
+    this.traceId = options.parent?.traceId || randomBytes(16).toString('hex');
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = options.parent?.spanId || null;
+    this.attributes = {};
+    this.status = { code: 'unset' };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.setAttributes(options.attributes);
+  }
+
+  /**
+   * Set attributes, skipping null and undefined values
+   * @param {Object} [attributes] - Attributes to set
+   * @returns {Span} This span
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value !== undefined && value !== null) {
+        this.attributes[key] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set the span status
+   * @param {string} code - `ok` or `error`
+   * @param {string} [message] - Error description
+   * @returns {Span} This span
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * W3C `traceparent` value propagating this span as the parent
+   * @returns {string} Header value
+   */
+  traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  /**
+   * End the span and hand it to the tracer for export
+   * Ending a span twice has no effect.
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = nowNanos();
+    this.tracer.export(this);
+  }
+
+  /**
+   * Readable form used for JSONL export
+   * @returns {Object} Span as plain JSON
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      start: new Date(Number(this.startTime / 1000000n)).toISOString(),
+      durationMs: this.endTime === null ? null : Number(this.endTime - this.startTime) / 1e6,
+      attributes: this.attributes,
+      status: this.status,
+    };
+  }
+
+  /**
+   * OTLP/JSON form used for OTLP/HTTP export
+   * @returns {Object} OTLP span
+   */
+  toOTLP() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+      name: this.name,
+      kind: SPAN_KINDS[this.kind],
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: String(this.endTime),
+      attributes: Object.entries(this.attributes).map(([key, value]) => ({
+        key,
+        value: toAnyValue(value),
+      })),
+      status: {
+        code: STATUS_CODES[this.status.code],
+        ...(this.status.message && { message: this.status.message }),
+      },
+    };
+  }
+}
+
+/**
+ * Creates spans and exports finished ones over OTLP/HTTP and/or to a JSONL file
+ * OTLP exports are batched and sent every `exportInterval` or once `maxBatchSize` spans are
+ * waiting; export failures are logged and the spans dropped.
+ * @class Tracer
+ */
+export class Tracer {
+  /**
+   * Create a tracer
+   * @param {Object} [options] - Tracer options
+   * @param {string} [options.endpoint] - OTLP/HTTP traces endpoint, e.g.
+   *   `http://localhost:4318/v1/traces`
+   * @param {Object} [options.headers] - Extra headers for OTLP exports
+   * @param {string} [options.file] - JSONL file to append finished spans to
+   * @param {WritableStream} [options.stream] - Stream to write JSONL spans to instead of a file
+   * @param {string} [options.serviceName='mcp-stdio-http-bridge'] - `service.name` resource
+   * @param {number} [options.exportInterval=1000] - OTLP batch interval in milliseconds
+   * @param {number} [options.maxBatchSize=100] - Spans per OTLP export
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation (for testing)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || null;
+    this.headers = options.headers || {};
+    this.stream =
+      options.stream || (options.file ? createWriteStream(options.file, { flags: 'a' }) : null);
+    this.serviceName = options.serviceName || 'mcp-stdio-http-bridge';
+    this.exportInterval = options.exportInterval || 1000;
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.logger = options.logger;
+    this.batch = [];
+    this.flushTimer = null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Start a span
+   * @param {string} name - Span name
+   * @param {Object} [options] - Span options (see `Span`)
+   * @returns {Span} Started span
+   */
+  startSpan(name, options) {
+    return new Span(this, name, options);
+  }
+
+  /**
+   * Export a finished span
+   * @param {Span} span - Ended span
+   */
+  export(span) {
+    this.stream?.write(JSON.stringify(span) + '\n');
+
+    if (!this.endpoint) {
+      return;
+    }
+
+    this.batch.push(span.toOTLP());
+    if (this.batch.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.exportInterval);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Send the waiting spans to the OTLP endpoint
+   * @returns {Promise<void>} Settles once the export has finished
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const spans = this.batch.splice(0);
+    if (spans.length === 0) {
+      return Promise.all(this.pending).then(() => {});
+    }
+
+    const body = {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: [{ key: 'service.name', value: { stringValue: this.serviceName } }],
+          },
+          scopeSpans: [{ scope: { name: 'mcp-stdio-http-bridge' }, spans }],
+        },
+      ],
+    };
+
+    const request = this._send(body).finally(() => this.pending.delete(request));
+    this.pending.add(request);
+    return Promise.all(this.pending).then(() => {});
+  }
+
+  /**
+   * Flush waiting spans and close the JSONL output
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await new Promise((resolve) => stream.end(resolve));
+    }
+  }
+
+  /**
+   * POST a batch to the OTLP endpoint
+   * @private
+   * @param {Object} body - OTLP export request
+   * @returns {Promise<void>}
+   */
+  async _send(body) {
+    try {
+      const response = await this.fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`Collector returned ${response.status}`);
+      }
+    } catch (error) {
+      this.logger?.warn({ endpoint: this.endpoint, error: error.message }, 'Span export failed');
+    }
+  }
+}
+
+export default Tracer;
@@ -0,0 +1,350 @@
+/**
+ * @module test/aggregator
+ * @description Tests for MCPAggregator
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Readable, Writable } from 'stream';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sinon from 'sinon';
+import pino from 'pino';
+import { MCPAggregator, loadServersConfig } from '../src/aggregator.js';
+import { waitFor } from './helpers.js';
+
+/**
+ * Build a fake upstream that answers JSON-RPC requests from a handler table
+ * @param {string} sessionId - Session ID the upstream issues
+ * @param {Object<string, Function>} handlers - Result builders keyed by method
+ * @returns {Function} Request handler returning a fetch-like response
+ */
+const fakeUpstream = (sessionId, handlers) => (body) => {
+  if (body.id === undefined) {
+    return { ok: true, status: 202, headers: new Map() };
+  }
+  const handler = handlers[body.method];
+  const payload = handler
+    ? { jsonrpc: '2.0', result: handler(body.params || {}), id: body.id }
+    : { jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: body.id };
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['Mcp-Session-Id', sessionId]]),
+    json: async () => payload,
+  };
+};
+
+describe('MCPAggregator', () => {
+  let aggregator;
+  let fetchStub;
+  let lines;
+  let output;
+  let upstreams;
+
+  const send = async (message) => {
+    lines.length = 0;
+    await aggregator.processMessage(JSON.stringify({ jsonrpc: '2.0', ...message }), output);
+    return lines[0];
+  };
+
+  beforeEach(() => {
+    upstreams = {
+      'http://one/mcp': fakeUpstream('s-one', {
+        initialize: () => ({ protocolVersion: '2025-03-26', capabilities: { tools: {} } }),
+        'tools/list': (params) =>
+          params.cursor
+            ? { tools: [{ name: 'search' }] }
+            : { tools: [{ name: 'build' }], nextCursor: 'page2' },
+        'tools/call': (params) => ({ content: [{ type: 'text', text: `one:${params.name}` }] }),
+      }),
+      'http://two/mcp': fakeUpstream('s-two', {
+        initialize: () => ({
+          protocolVersion: '2025-03-26',
+          capabilities: { tools: {}, resources: {} },
+        }),
+        'tools/list': () => ({ tools: [{ name: 'build' }] }),
+        'tools/call': (params) => ({ content: [{ type: 'text', text: `two:${params.name}` }] }),
+        'resources/list': () => ({ resources: [{ uri: 'file:///a.txt', name: 'a' }] }),
+        'resources/read': (params) => ({ contents: [{ uri: params.uri, text: 'A' }] }),
+      }),
+    };
+
+    fetchStub = sinon.stub().callsFake(async (url, options = {}) => {
+      if (url.endsWith('/health')) {
+        return { ok: true };
+      }
+      return upstreams[url](JSON.parse(options.body));
+    });
+
+    lines = [];
+    output = new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(JSON.parse(chunk.toString()));
+        callback();
+      },
+    });
+
+    aggregator = new MCPAggregator({
+      servers: {
+        one: { url: 'http://one/mcp', prefix: 'one.' },
+        two: { url: 'http://two/mcp' },
+      },
+      fetch: fetchStub,
+      retryDelay: 1,
+      logger: pino({ level: 'silent' }),
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  test('should require at least one server', () => {
+    assert.throws(
+      () => new MCPAggregator({ servers: {}, logger: pino({ level: 'silent' }) }),
+      /At least one upstream server is required/,
+    );
+  });
+
+  test('should initialize every upstream and merge capabilities', async () => {
+    const response = await send({ method: 'initialize', params: {}, id: 1 });
+
+    assert.strictEqual(response.result.protocolVersion, '2025-03-26');
+    assert(response.result.capabilities.tools);
+    assert(response.result.capabilities.resources);
+    assert.strictEqual(aggregator.upstreams[0].bridge.sessionId, 's-one');
+    assert.strictEqual(aggregator.upstreams[1].bridge.sessionId, 's-two');
+  });
+
+  test('should merge prefixed tool lists across pages', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    const response = await send({ method: 'tools/list', id: 2 });
+
+    const names = response.result.tools.map((tool) => tool.name);
+    assert.deepStrictEqual(names, ['one.build', 'one.search', 'two_build']);
+  });
+
+  test('should route tool calls to the right upstream with the original name', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    await send({ method: 'tools/list', id: 2 });
+
+    const one = await send({ method: 'tools/call', params: { name: 'one.build' }, id: 3 });
+    const two = await send({ method: 'tools/call', params: { name: 'two_build' }, id: 4 });
+
+    assert.strictEqual(one.result.content[0].text, 'one:build');
+    assert.strictEqual(two.result.content[0].text, 'two:build');
+
+    const lastCall = fetchStub.lastCall.args;
+    assert.strictEqual(lastCall[0], 'http://two/mcp');
+    assert.strictEqual(lastCall[1].headers['Mcp-Session-Id'], 's-two');
+  });
+
+  test('should split batches across upstreams and combine the responses', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    lines.length = 0;
+
+    const call = (name, id) => ({ jsonrpc: '2.0', method: 'tools/call', params: { name }, id });
+    await aggregator.processMessage(
+      JSON.stringify([call('one.build', 2), call('two_build', 3), { method: 'ping', id: 4 }]),
+      output,
+    );
+
+    assert.strictEqual(lines.length, 1);
+    const replies = Object.fromEntries(lines[0].map((reply) => [reply.id, reply]));
+    assert.strictEqual(replies[2].result.content[0].text, 'one:build');
+    assert.strictEqual(replies[3].result.content[0].text, 'two:build');
+    assert.strictEqual(replies[4].error.code, -32600);
+  });
+
+  test('should route by prefix before the list has been fetched', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    const response = await send({ method: 'tools/call', params: { name: 'one.search' }, id: 2 });
+    assert.strictEqual(response.result.content[0].text, 'one:search');
+  });
+
+  test('should reject unknown tools and unsupported methods', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+
+    const unknown = await send({ method: 'tools/call', params: { name: 'nope' }, id: 2 });
+    assert.strictEqual(unknown.error.code, -32602);
+
+    const unsupported = await send({ method: 'completion/complete', id: 3 });
+    assert.strictEqual(unsupported.error.code, -32601);
+  });
+
+  test('should merge and route resources by URI', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    const list = await send({ method: 'resources/list', id: 2 });
+    assert.deepStrictEqual(list.result.resources, [{ uri: 'file:///a.txt', name: 'two_a' }]);
+
+    const read = await send({ method: 'resources/read', params: { uri: 'file:///a.txt' }, id: 3 });
+    assert.strictEqual(read.result.contents[0].text, 'A');
+  });
+
+  test('should forward notifications to every upstream without replying', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    fetchStub.resetHistory();
+
+    const response = await send({ method: 'notifications/initialized' });
+
+    assert.strictEqual(response, undefined);
+    assert.strictEqual(fetchStub.callCount, 2);
+  });
+
+  test('should abort cancelled calls on their upstream without replying', async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    fetchStub.callsFake(async (url, options) => {
+      const body = JSON.parse(options.body);
+      if (body.method !== 'tools/call') {
+        return upstreams[url](body);
+      }
+      options.signal.throwIfAborted();
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      });
+    });
+
+    lines.length = 0;
+    const call = aggregator.processMessage(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'tools/call',
+        params: { name: 'two_build' },
+        id: 3,
+      }),
+      output,
+    );
+    await waitFor(() => aggregator.upstreams[1].inflight.has(3));
+
+    await aggregator.processMessage(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 3 },
+      }),
+      output,
+    );
+    await call;
+
+    assert.deepStrictEqual(lines, []);
+    const [url, options] = fetchStub.lastCall.args;
+    assert.strictEqual(url, 'http://two/mcp');
+    assert.strictEqual(JSON.parse(options.body).method, 'notifications/cancelled');
+  });
+
+  /**
+   * Call a tool on each upstream, which asks the client for sampling before answering
+   * @returns {Promise<Array<Object>>} Server requests relayed to the client
+   */
+  const relayServerRequests = async () => {
+    await send({ method: 'initialize', params: {}, id: 1 });
+    fetchStub.callsFake(async (url, options) => {
+      const body = JSON.parse(options.body);
+      if (body.method !== 'tools/call') {
+        return upstreams[url](body);
+      }
+      const request = { jsonrpc: '2.0', method: 'sampling/createMessage', params: {}, id: 0 };
+      const response = { jsonrpc: '2.0', result: { content: [] }, id: body.id };
+      return {
+        ok: true,
+        status: 200,
+        headers: new Map([['content-type', 'text/event-stream']]),
+        body: Readable.from([
+          Buffer.from(`data: ${JSON.stringify(request)}\n\ndata: ${JSON.stringify(response)}\n\n`),
+        ]),
+      };
+    });
+
+    lines.length = 0;
+    for (const [name, id] of [
+      ['one.build', 2],
+      ['two_build', 3],
+    ]) {
+      const message = { jsonrpc: '2.0', method: 'tools/call', params: { name }, id };
+      await aggregator.processMessage(JSON.stringify(message), output);
+    }
+
+    return lines.filter((line) => line.method === 'sampling/createMessage');
+  };
+
+  test('should namespace server request IDs per upstream and route answers back', async () => {
+    const requests = await relayServerRequests();
+    assert.deepStrictEqual(
+      requests.map((line) => line.id),
+      ['one:0', 'two:0'],
+    );
+
+    fetchStub.resetHistory();
+    await send({ result: { content: { type: 'text', text: 'hi' } }, id: 'two:0' });
+
+    assert.strictEqual(fetchStub.callCount, 1);
+    const [url, options] = fetchStub.firstCall.args;
+    assert.strictEqual(url, 'http://two/mcp');
+    assert.strictEqual(JSON.parse(options.body).id, 0);
+  });
+
+  test('should cancel server requests when their upstream session ends', async () => {
+    await relayServerRequests();
+    aggregator.output = output;
+
+    lines.length = 0;
+    aggregator.upstreams[1].bridge.emit('session-expired');
+
+    assert.deepStrictEqual([...aggregator.serverRequests.keys()], ['one:0']);
+    assert.deepStrictEqual(lines, [
+      {
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 'two:0', reason: 'Upstream two disconnected' },
+      },
+    ]);
+
+    fetchStub.resetHistory();
+    await send({ result: { content: { type: 'text', text: 'late' } }, id: 'two:0' });
+    assert.strictEqual(fetchStub.callCount, 0);
+  });
+
+  test('should exclude upstreams that fail to initialize', async () => {
+    upstreams['http://one/mcp'] = () => {
+      throw new Error('ECONNREFUSED');
+    };
+
+    const init = await send({ method: 'initialize', params: {}, id: 1 });
+    assert(init.result);
+
+    const list = await send({ method: 'tools/list', id: 2 });
+    assert.deepStrictEqual(
+      list.result.tools.map((tool) => tool.name),
+      ['two_build'],
+    );
+  });
+
+  test('should pass the health check while at least one upstream is up', async () => {
+    fetchStub.callsFake(async (url) => ({ ok: url.startsWith('http://two') }));
+    assert.strictEqual(await aggregator.checkHealth(), true);
+
+    fetchStub.callsFake(async () => ({ ok: false, status: 503 }));
+    await assert.rejects(aggregator.checkHealth(), /No upstream MCP server is reachable/);
+  });
+});
+
+describe('loadServersConfig', () => {
+  test('should load and validate a servers file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-aggregate-'));
+    try {
+      const valid = join(dir, 'servers.json');
+      await writeFile(valid, JSON.stringify({ servers: { one: { url: 'http://one/mcp' } } }));
+      assert.deepStrictEqual(loadServersConfig(valid), { one: { url: 'http://one/mcp' } });
+
+      const invalid = join(dir, 'invalid.json');
+      await writeFile(invalid, JSON.stringify({ servers: { one: {} } }));
+      assert.throws(() => loadServersConfig(invalid), /must have a "url"/);
+
+      assert.throws(() => loadServersConfig(join(dir, 'missing.json')), /Failed to read/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @module test/auth
+ * @description Tests for AuthProvider
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { AuthProvider, parseHeader } from '../src/auth.js';
+
+describe('parseHeader', () => {
+  test('should split name and value', () => {
+    assert.deepStrictEqual(parseHeader('X-Api-Key: abc:def'), ['X-Api-Key', 'abc:def']);
+  });
+
+  test('should reject headers without a name', () => {
+    assert.throws(() => parseHeader('novalue'), /Invalid header/);
+    assert.throws(() => parseHeader(': value'), /Invalid header/);
+  });
+});
+
+describe('AuthProvider', () => {
+  test('should return static headers and bearer token', async () => {
+    const auth = new AuthProvider({ headers: { 'X-Api-Key': 'key' }, bearerToken: 'tok' });
+    assert.deepStrictEqual(await auth.getHeaders(), {
+      'X-Api-Key': 'key',
+      Authorization: 'Bearer tok',
+    });
+  });
+
+  test('should return no headers by default', async () => {
+    const auth = new AuthProvider();
+    assert.deepStrictEqual(await auth.getHeaders(), {});
+    assert.strictEqual(await auth.refresh(), false);
+  });
+
+  test('should run the token command once and cache the token', async () => {
+    const runCommand = sinon.stub().resolves('cmd-token');
+    const auth = new AuthProvider({ tokenCommand: 'get-token', runCommand });
+
+    const [first, second] = await Promise.all([auth.getToken(), auth.getToken()]);
+    assert.strictEqual(first, 'cmd-token');
+    assert.strictEqual(second, 'cmd-token');
+    assert(runCommand.calledOnceWith('get-token'));
+  });
+
+  test('should re-run the token command after refresh', async () => {
+    const runCommand = sinon.stub();
+    runCommand.onFirstCall().resolves('old');
+    runCommand.onSecondCall().resolves('new');
+    const auth = new AuthProvider({ tokenCommand: 'get-token', runCommand });
+
+    assert.strictEqual(await auth.getToken(), 'old');
+    assert.strictEqual(await auth.refresh(), true);
+    assert.strictEqual(await auth.getToken(), 'new');
+  });
+
+  test('should run a real shell command', async () => {
+    const auth = new AuthProvider({ tokenCommand: 'echo shell-token' });
+    assert.strictEqual(await auth.getToken(), 'shell-token');
+  });
+
+  test('should report token command failures', async () => {
+    const auth = new AuthProvider({
+      tokenCommand: 'get-token',
+      runCommand: sinon.stub().resolves(''),
+    });
+    await assert.rejects(auth.getToken(), /Token command failed: Token command produced no output/);
+  });
+
+  test('should redact credentials and custom headers', () => {
+    const auth = new AuthProvider({ headers: { 'X-Api-Key': 'key' } });
+    const redacted = auth.redact({
+      Authorization: 'Bearer tok',
+      'x-api-key': 'key',
+      'Content-Type': 'application/json',
+    });
+    assert.deepStrictEqual(redacted, {
+      Authorization: '[REDACTED]',
+      'x-api-key': '[REDACTED]',
+      'Content-Type': 'application/json',
+    });
+  });
+});
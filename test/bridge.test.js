@@ -5,10 +5,12 @@
 
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { getEventListeners } from 'events';
 import { MCPBridge } from '../src/index.js';
-import { Readable, Writable } from 'stream';
+import { PassThrough, Readable, Writable } from 'stream';
 import sinon from 'sinon';
 import pino from 'pino';
+import { waitFor } from './helpers.js';
 
 describe('MCPBridge', () => {
   let bridge;
@@ -86,6 +88,112 @@ describe('MCPBridge', () => {
 
       await assert.rejects(bridge.checkHealth(), /Server returned 500/);
     });
+
+    test('should derive the health URL from the MCP path or use the configured one', async () => {
+      fetchStub.resolves({ ok: true, status: 200 });
+
+      const check = async (options) => {
+        fetchStub.resetHistory();
+        await new MCPBridge({ fetch: fetchStub, logger: testLogger, ...options }).checkHealth();
+        return fetchStub.firstCall.args[0];
+      };
+
+      assert.strictEqual(await check({ url: 'http://h/api/mcp' }), 'http://h/api/health');
+      assert.strictEqual(await check({ url: 'http://h/api/mcp/v2' }), 'http://h/health');
+      assert.strictEqual(
+        await check({ url: 'http://h/api/mcp/v2', healthUrl: 'http://h/api/status' }),
+        'http://h/api/status',
+      );
+    });
+
+    test('should time out after the health timeout', async () => {
+      fetchStub.callsFake(
+        (url, options) =>
+          new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+          }),
+      );
+      const b = new MCPBridge({ fetch: fetchStub, healthTimeout: 20, logger: testLogger });
+
+      await assert.rejects(b.checkHealth(), /not reachable.*aborted/);
+    });
+
+    test('should ping the MCP endpoint in mcp-ping mode', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        healthMode: 'mcp-ping',
+        fetch: fetchStub,
+        logger: testLogger,
+      });
+      const reply = (body, status = 200) => ({
+        ok: status < 400,
+        status,
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => body,
+      });
+
+      fetchStub.resolves(reply({ jsonrpc: '2.0', result: {}, id: 'health-1' }));
+      assert.strictEqual(await b.checkHealth(), true);
+
+      const [url, options] = fetchStub.firstCall.args;
+      assert.strictEqual(url, 'http://localhost:3000/mcp');
+      assert.strictEqual(JSON.parse(options.body).method, 'ping');
+
+      // A server wanting a session first still answers with JSON-RPC
+      const noSession = { code: -32000, message: 'No valid session ID provided' };
+      fetchStub.resolves(reply({ jsonrpc: '2.0', error: noSession, id: null }, 400));
+      assert.strictEqual(await b.checkHealth(), true);
+
+      fetchStub.resolves(reply(null, 404));
+      await assert.rejects(b.checkHealth(), /did not answer ping with JSON-RPC/);
+
+      fetchStub.resolves(reply(null, 503));
+      await assert.rejects(b.checkHealth(), /Server returned 503/);
+    });
+
+    test('should skip health checks in none mode', async () => {
+      const b = new MCPBridge({ healthMode: 'none', fetch: fetchStub, logger: testLogger });
+
+      await b.start({ input: new PassThrough(), output: { write: () => true } });
+      assert.strictEqual(await b.checkHealth(), true);
+      assert.strictEqual(fetchStub.called, false);
+      await b.stop();
+    });
+
+    test('should reject an unknown health mode', () => {
+      assert.throws(
+        () => new MCPBridge({ healthMode: 'tcp', logger: testLogger }),
+        /Unknown health mode "tcp"/,
+      );
+    });
+
+    test('should monitor health periodically and emit events', async () => {
+      let healthy = true;
+      fetchStub.callsFake(async () => ({ ok: healthy, status: healthy ? 200 : 503 }));
+      const b = new MCPBridge({ healthInterval: 5, fetch: fetchStub, logger: testLogger });
+      const results = [];
+      b.on('health', (result) => results.push(result));
+
+      await b.start({ input: new PassThrough(), output: { write: () => true } });
+      try {
+        await waitFor(() => results.length > 0);
+        assert.deepStrictEqual(results[0], { healthy: true, url: b.url });
+
+        const down = new Promise((resolve) => b.once('upstream-down', resolve));
+        healthy = false;
+        await down;
+
+        const last = results.at(-1);
+        assert.strictEqual(last.healthy, false);
+        assert.match(last.error, /Server returned 503/);
+
+        const up = new Promise((resolve) => b.once('upstream-up', resolve));
+        healthy = true;
+        await up;
+      } finally {
+        await b.stop();
+      }
+    });
   });
 
   describe('start/stop', () => {
@@ -202,6 +310,110 @@ describe('MCPBridge', () => {
       assert.strictEqual(parsed.error.code, -32603);
       assert(parsed.error.message.includes('Network failure'));
     });
+
+    test('should answer invalid messages with Invalid Request without forwarding', async () => {
+      const lines = [];
+      const output = { write: (line) => lines.push(JSON.parse(line)) };
+
+      await bridge.processMessage(JSON.stringify({ method: 'tools/list', id: 1 }), output);
+      await bridge.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 7, id: 2 }), output);
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: { bad: true } }),
+        output,
+      );
+      await bridge.processMessage(JSON.stringify({ jsonrpc: '2.0', id: 0 }), output);
+      await bridge.processMessage('[]', output);
+
+      assert.strictEqual(fetchStub.callCount, 0);
+      assert.deepStrictEqual(
+        lines.map(({ id, error }) => [id, error.code]),
+        [
+          [1, -32600],
+          [2, -32600],
+          [null, -32600],
+          [0, -32600],
+          [null, -32600],
+        ],
+      );
+      assert.match(lines[0].error.message, /jsonrpc must be "2.0"/);
+      assert.match(lines[1].error.message, /method must be a string/);
+    });
+
+    test('should split batches and combine the responses', async () => {
+      fetchStub.callsFake(async (url, options) => {
+        const { method, id } = JSON.parse(options.body);
+        if (id === undefined) {
+          return { ok: true, status: 202, headers: new Map() };
+        }
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map(),
+          json: async () => ({ jsonrpc: '2.0', result: { method }, id }),
+        };
+      });
+      const lines = [];
+
+      await bridge.processMessage(
+        JSON.stringify([
+          { jsonrpc: '2.0', method: 'tools/list', id: 1 },
+          { jsonrpc: '2.0', method: 'notifications/progress', params: {} },
+          { jsonrpc: '2.0', method: 'initialize', params: {}, id: 2 },
+          { jsonrpc: '2.0', method: 'ping', id: 3 },
+        ]),
+        { write: (line) => lines.push(JSON.parse(line)) },
+      );
+
+      assert.strictEqual(fetchStub.callCount, 3);
+      assert.strictEqual(lines.length, 1);
+      const replies = lines[0].sort((a, b) => a.id - b.id);
+      assert.deepStrictEqual(replies[0], {
+        jsonrpc: '2.0',
+        result: { method: 'tools/list' },
+        id: 1,
+      });
+      assert.strictEqual(replies[1].error.code, -32600);
+      assert.match(replies[1].error.message, /initialize cannot be part of a batch/);
+      assert.deepStrictEqual(replies[2], { jsonrpc: '2.0', result: { method: 'ping' }, id: 3 });
+    });
+
+    test('should forward batches whole when the protocol version allows them', async () => {
+      bridge.protocolVersion = '2025-03-26';
+      fetchStub.callsFake(async (url, options) => {
+        const batch = JSON.parse(options.body);
+        const events = [
+          { jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } },
+          ...batch
+            .filter(({ id }) => id !== undefined)
+            .reverse()
+            .map(({ id }) => ({ jsonrpc: '2.0', result: {}, id })),
+        ];
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['content-type', 'text/event-stream']]),
+          body: Readable.from(
+            events.map((event) => Buffer.from(`data: ${JSON.stringify(event)}\n\n`)),
+          ),
+        };
+      });
+      const lines = [];
+
+      await bridge.processMessage(
+        JSON.stringify([
+          { jsonrpc: '2.0', method: 'tools/list', id: 1 },
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', method: 'ping', id: 2 },
+        ]),
+        { write: (line) => lines.push(JSON.parse(line)) },
+      );
+
+      assert.strictEqual(fetchStub.callCount, 1);
+      assert.strictEqual(JSON.parse(fetchStub.firstCall.args[1].body).length, 3);
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(lines[0].method, 'notifications/progress');
+      assert.deepStrictEqual(lines[1].map(({ id }) => id).sort(), [1, 2]);
+    });
   });
 
   describe('forwardToHTTP', () => {
@@ -293,8 +505,10 @@ describe('MCPBridge', () => {
   });
 
   describe('streaming response handling', () => {
-    test('should parse SSE data correctly', async () => {
-      const sseData = 'data: {"test":"value1"}\n\ndata: {"test":"value2"}\n\n';
+    test('should relay messages before the final response', async () => {
+      const sseData =
+        'data: {"jsonrpc":"2.0","method":"notifications/progress","params":{"progress":1}}\n\n' +
+        'data: {"jsonrpc":"2.0","result":"done","id":7}\n\n';
 
       fetchStub.resolves({
         ok: true,
@@ -302,8 +516,56 @@ describe('MCPBridge', () => {
         text: async () => sseData,
       });
 
-      const result = await bridge.forwardToHTTP({ method: 'test' });
-      assert.deepStrictEqual(result, { test: 'value1' }); // Returns first valid data
+      const relayed = [];
+      const result = await bridge.forwardToHTTP(
+        { jsonrpc: '2.0', method: 'tools/call', id: 7 },
+        { onMessage: (message) => relayed.push(message) },
+      );
+
+      assert.deepStrictEqual(result, { jsonrpc: '2.0', result: 'done', id: 7 });
+      assert.strictEqual(relayed.length, 1);
+      assert.strictEqual(relayed[0].method, 'notifications/progress');
+    });
+
+    test('should write streamed messages as they arrive', async () => {
+      const body = new Readable({ read() {} });
+      const push = (text) => body.push(Buffer.from(text));
+
+      fetchStub.resolves({
+        ok: true,
+        headers: new Map([['content-type', 'text/event-stream']]),
+        body,
+      });
+
+      const lines = [];
+      let onLine;
+      const outputStream = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          onLine?.();
+          callback();
+        },
+      });
+
+      const message = JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 3 });
+      const processing = bridge.processMessage(message, outputStream);
+
+      const firstLine = new Promise((resolve) => {
+        onLine = resolve;
+      });
+      push('event: message\nid: 1\ndata: {"jsonrpc":"2.0",\n');
+      push('data: "method":"notifications/progress"}\n\n');
+      await firstLine;
+
+      assert.strictEqual(lines.length, 1);
+      assert.strictEqual(lines[0].method, 'notifications/progress');
+
+      push('id: 2\ndata: {"jsonrpc":"2.0","result":{},"id":3}\n\n');
+      body.push(null);
+      await processing;
+
+      assert.strictEqual(lines.length, 2);
+      assert.deepStrictEqual(lines[1], { jsonrpc: '2.0', result: {}, id: 3 });
     });
 
     test('should handle invalid SSE data', async () => {
@@ -321,4 +583,1238 @@ describe('MCPBridge', () => {
       );
     });
   });
+
+  describe('event stream', () => {
+    const sessionResponse = () => ({
+      ok: true,
+      status: 200,
+      headers: new Map([['Mcp-Session-Id', 'session123']]),
+      json: async () => ({ jsonrpc: '2.0', result: {}, id: 1 }),
+    });
+
+    const startBridge = async (b, lines) => {
+      const input = new Readable({ read() {} });
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        },
+      });
+      await b.start({ input, output });
+      return output;
+    };
+
+    test('should open GET stream once a session is captured and relay events', async () => {
+      const body = new Readable({ read() {} });
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') {
+          return { ok: true, status: 200, headers: new Map(), body };
+        }
+        return sessionResponse();
+      });
+
+      const lines = [];
+      const output = await startBridge(bridge, lines);
+      const opened = new Promise((resolve) => bridge.once('stream-open', resolve));
+
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'initialize', id: 1 }),
+        output,
+      );
+      await opened;
+
+      const getCall = fetchStub.getCalls().find((call) => call.args[1]?.method === 'GET');
+      assert.strictEqual(getCall.args[0], 'http://localhost:3000/mcp');
+      assert.strictEqual(getCall.args[1].headers['Mcp-Session-Id'], 'session123');
+      assert.strictEqual(getCall.args[1].headers.Accept, 'text/event-stream');
+
+      body.push('data: {"jsonrpc":"2.0","method":"notifications/tools/list_changed"}\n\n');
+      await waitFor(() => lines.length === 2);
+
+      assert.strictEqual(lines[1].method, 'notifications/tools/list_changed');
+    });
+
+    test('should not reconnect when server answers 405', async () => {
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') return { ok: false, status: 405 };
+        return sessionResponse();
+      });
+
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        reconnectDelay: 5,
+      });
+      const debug = sinon.spy(testLogger, 'debug');
+      const lines = [];
+      const output = await startBridge(b, lines);
+      await b.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }), output);
+      // The stream loop has returned once it logs this, so no further GET can follow
+      await waitFor(() => debug.calledWith('Server does not offer a GET event stream'));
+      b.stop();
+
+      const getCalls = fetchStub.getCalls().filter((call) => call.args[1]?.method === 'GET');
+      assert.strictEqual(getCalls.length, 1);
+    });
+
+    test('should recover the session when the stream answers 404', async () => {
+      const sessions = ['s1', 's2'];
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') {
+          const current = options.headers['Mcp-Session-Id'] === 's1';
+          return { ok: false, status: current ? 404 : 405, headers: new Map() };
+        }
+        const { method, id } = JSON.parse(options.body);
+        const sessionId = method === 'initialize' ? sessions.shift() : undefined;
+        return {
+          ok: true,
+          status: id === undefined ? 202 : 200,
+          headers: new Map(sessionId ? [['Mcp-Session-Id', sessionId]] : []),
+          json: async () => ({ jsonrpc: '2.0', result: {}, id }),
+        };
+      });
+      const expired = [];
+      bridge.on('session-expired', (id) => expired.push(id));
+
+      const lines = [];
+      const output = await startBridge(bridge, lines);
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }),
+        output,
+      );
+      const gets = () =>
+        fetchStub
+          .getCalls()
+          .filter((call) => call.args[1]?.method === 'GET')
+          .map((call) => call.args[1].headers['Mcp-Session-Id']);
+      await waitFor(() => gets().length === 2);
+
+      assert.deepStrictEqual(expired, ['s1']);
+      assert.deepStrictEqual(gets(), ['s1', 's2']);
+      assert.strictEqual(bridge.sessionId, 's2');
+    });
+
+    test('should reconnect with backoff when the stream drops', async () => {
+      let getCount = 0;
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') {
+          getCount++;
+          if (getCount === 1) throw new Error('ECONNRESET');
+          return { ok: true, status: 200, headers: new Map(), body: Readable.from([]) };
+        }
+        return sessionResponse();
+      });
+
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        reconnectDelay: 5,
+        maxReconnectDelay: 10,
+      });
+      const lines = [];
+      const output = await startBridge(b, lines);
+      const reopened = new Promise((resolve) => b.once('stream-open', resolve));
+      await b.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }), output);
+      await reopened;
+      b.stop();
+
+      assert(getCount >= 2);
+    });
+
+    test('should keep backing off while the stream closes without events', async () => {
+      let getCount = 0;
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') {
+          getCount++;
+          return { ok: true, status: 200, headers: new Map(), body: Readable.from([]) };
+        }
+        return sessionResponse();
+      });
+
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        reconnectDelay: 1,
+        maxReconnectDelay: 8,
+      });
+      const debug = sinon.spy(testLogger, 'debug');
+      const lines = [];
+      const output = await startBridge(b, lines);
+      await b.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }), output);
+      await waitFor(() => getCount >= 5);
+      b.stop();
+
+      const delays = debug
+        .getCalls()
+        .filter((call) => call.args[1] === 'Reconnecting event stream')
+        .map((call) => call.args[0].delay);
+      assert.deepStrictEqual(delays.slice(0, 4), [1, 2, 4, 8]);
+    });
+
+    test('should not leave abort listeners behind across reconnects', async () => {
+      let getCount = 0;
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'GET') {
+          getCount++;
+          return { ok: true, status: 200, headers: new Map(), body: Readable.from([]) };
+        }
+        return sessionResponse();
+      });
+
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        reconnectDelay: 1,
+        maxReconnectDelay: 1,
+      });
+      const lines = [];
+      const output = await startBridge(b, lines);
+      await b.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }), output);
+      await waitFor(() => getCount >= 15);
+      const listeners = getEventListeners(b.eventStream.controller.signal, 'abort');
+      b.stop();
+
+      assert(listeners.length <= 1);
+    });
+  });
+
+  describe('server-to-client requests', () => {
+    test('should track server requests and forward the client response', async () => {
+      const sseData =
+        'data: {"jsonrpc":"2.0","method":"sampling/createMessage","params":{},"id":"s1"}\n\n' +
+        'data: {"jsonrpc":"2.0","result":{"content":[]},"id":1}\n\n';
+
+      fetchStub.onFirstCall().resolves({
+        ok: true,
+        status: 200,
+        headers: new Map([
+          ['content-type', 'text/event-stream'],
+          ['Mcp-Session-Id', 'session123'],
+        ]),
+        text: async () => sseData,
+      });
+      fetchStub.onSecondCall().resolves({
+        ok: true,
+        status: 202,
+        headers: new Map(),
+        json: async () => {
+          throw new Error('202 has no body');
+        },
+      });
+
+      const lines = [];
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        },
+      });
+
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 1 }),
+        output,
+      );
+
+      assert.strictEqual(lines[0].method, 'sampling/createMessage');
+      assert(bridge.pendingServerRequests.has('s1'));
+
+      const answer = { jsonrpc: '2.0', result: { role: 'assistant' }, id: 's1' };
+      await bridge.processMessage(JSON.stringify(answer), output);
+
+      const [url, options] = fetchStub.secondCall.args;
+      assert.strictEqual(url, 'http://localhost:3000/mcp');
+      assert.strictEqual(options.method, 'POST');
+      assert.strictEqual(options.headers['Mcp-Session-Id'], 'session123');
+      assert.deepStrictEqual(JSON.parse(options.body), answer);
+      assert.strictEqual(bridge.pendingServerRequests.has('s1'), false);
+      assert.strictEqual(lines.length, 2);
+    });
+
+    test('should not write a reply when forwarding a response fails', async () => {
+      fetchStub.resolves({ ok: false, status: 400, headers: new Map() });
+
+      const lines = [];
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString());
+          callback();
+        },
+      });
+
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', error: { code: -1, message: 'denied' }, id: 's2' }),
+        output,
+      );
+
+      assert(fetchStub.calledOnce);
+      assert.strictEqual(lines.length, 0);
+    });
+
+    test('should reject when server does not accept the response', async () => {
+      fetchStub.resolves({ ok: false, status: 500, headers: new Map() });
+
+      await assert.rejects(
+        bridge.forwardOneWay({ jsonrpc: '2.0', result: {}, id: 1 }),
+        /Server returned 500/,
+      );
+    });
+  });
+
+  describe('notifications', () => {
+    const collect = (lines) =>
+      new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString());
+          callback();
+        },
+      });
+
+    test('should accept 202 for notifications without writing a reply', async () => {
+      fetchStub.resolves({
+        ok: true,
+        status: 202,
+        headers: new Map(),
+        json: async () => {
+          throw new Error('Unexpected end of JSON input');
+        },
+      });
+
+      const lines = [];
+      await bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+        collect(lines),
+      );
+
+      assert(fetchStub.calledOnce);
+      assert.strictEqual(lines.length, 0);
+    });
+
+    test('should accept 204 for notifications', async () => {
+      fetchStub.resolves({ ok: true, status: 204, headers: new Map() });
+
+      await bridge.forwardOneWay({ jsonrpc: '2.0', method: 'notifications/cancelled' });
+      assert(fetchStub.calledOnce);
+    });
+
+    test('should not surface upstream failures for notifications', async () => {
+      fetchStub.rejects(new Error('Network failure'));
+
+      const lines = [];
+      await bridge.processMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: 1 },
+        }),
+        collect(lines),
+      );
+
+      assert.strictEqual(lines.length, 0);
+    });
+
+    test('should return null from forwardToHTTP for 202 responses', async () => {
+      fetchStub.resolves({ ok: true, status: 202, headers: new Map() });
+
+      const result = await bridge.forwardToHTTP({ jsonrpc: '2.0', method: 'test' });
+      assert.strictEqual(result, null);
+    });
+  });
+
+  describe('session lifecycle', () => {
+    const jsonResponse = (body, sessionId) => ({
+      ok: true,
+      status: 200,
+      headers: new Map(sessionId ? [['Mcp-Session-Id', sessionId]] : []),
+      json: async () => body,
+    });
+
+    test('should re-initialize and retry when the session expires', async () => {
+      const initialize = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 };
+      const initialized = { jsonrpc: '2.0', method: 'notifications/initialized' };
+
+      fetchStub.onCall(0).resolves(jsonResponse({ jsonrpc: '2.0', result: {}, id: 0 }, 'old'));
+      fetchStub.onCall(1).resolves({ ok: true, status: 202, headers: new Map() });
+      fetchStub.onCall(2).resolves({ ok: false, status: 404, headers: new Map() });
+      fetchStub.onCall(3).resolves(jsonResponse({ jsonrpc: '2.0', result: {}, id: 0 }, 'new'));
+      fetchStub.onCall(4).resolves({ ok: true, status: 202, headers: new Map() });
+      fetchStub.onCall(5).resolves(jsonResponse({ jsonrpc: '2.0', result: { tools: [] }, id: 1 }));
+
+      await bridge.forwardToHTTP(initialize);
+      await bridge.forwardOneWay(initialized);
+
+      let expired = null;
+      bridge.on('session-expired', (id) => {
+        expired = id;
+      });
+
+      const result = await bridge.forwardToHTTP({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+
+      assert.deepStrictEqual(result, { jsonrpc: '2.0', result: { tools: [] }, id: 1 });
+      assert.strictEqual(expired, 'old');
+      assert.strictEqual(bridge.sessionId, 'new');
+
+      const bodies = fetchStub.getCalls().map((call) => JSON.parse(call.args[1].body));
+      assert.deepStrictEqual(bodies[3], initialize);
+      assert.deepStrictEqual(bodies[4], initialized);
+      assert.strictEqual(fetchStub.getCall(3).args[1].headers['Mcp-Session-Id'], undefined);
+      assert.strictEqual(fetchStub.getCall(5).args[1].headers['Mcp-Session-Id'], 'new');
+    });
+
+    test('should not treat 404 without a session as expiry', async () => {
+      fetchStub.resolves({
+        ok: false,
+        status: 404,
+        headers: new Map(),
+        json: async () => ({ jsonrpc: '2.0', error: { code: -32601, message: 'Nope' }, id: 1 }),
+      });
+
+      const result = await bridge.forwardToHTTP({ jsonrpc: '2.0', method: 'test', id: 1 });
+      assert(fetchStub.calledOnce);
+      assert.strictEqual(result.error.code, -32601);
+    });
+
+    test('should send DELETE with the session ID on stop', async () => {
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) return { ok: true };
+        if (options.method === 'DELETE') return { ok: true, status: 200 };
+        return { ok: false, status: 405 };
+      });
+
+      const input = new Readable({ read() {} });
+      const output = new Writable({ write() {} });
+      await bridge.start({ input, output });
+      bridge.sessionId = 'session123';
+
+      await bridge.stop();
+
+      const deleteCall = fetchStub.getCalls().find((call) => call.args[1]?.method === 'DELETE');
+      assert.strictEqual(deleteCall.args[0], 'http://localhost:3000/mcp');
+      assert.strictEqual(deleteCall.args[1].headers['Mcp-Session-Id'], 'session123');
+      assert.strictEqual(bridge.sessionId, null);
+    });
+
+    test('should not throw when session termination fails', async () => {
+      fetchStub.rejects(new Error('Network failure'));
+      bridge.sessionId = 'session123';
+
+      await bridge.terminateSession();
+      assert.strictEqual(bridge.sessionId, null);
+    });
+  });
+
+  describe('protocol version negotiation', () => {
+    const initialize = {
+      jsonrpc: '2.0',
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {} },
+      id: 1,
+    };
+
+    /**
+     * Answer initialize with a protocol version and every other request with an empty result
+     * @param {string} protocolVersion - Version the server negotiates
+     */
+    const serve = (protocolVersion) => {
+      fetchStub.callsFake(async (url, options) => {
+        const { method, id } = JSON.parse(options.body);
+        const result =
+          method === 'initialize'
+            ? { protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'test' } }
+            : {};
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map(),
+          json: async () => ({ jsonrpc: '2.0', result, id }),
+        };
+      });
+    };
+
+    test('should capture the negotiated version and send it on later requests', async () => {
+      serve('2025-06-18');
+      const initialized = sinon.spy();
+      bridge.on('initialized', initialized);
+
+      await bridge.processMessage(JSON.stringify(initialize), { write: () => {} });
+      await bridge.processMessage(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 2 }), {
+        write: () => {},
+      });
+
+      assert.strictEqual(bridge.protocolVersion, '2025-06-18');
+      assert.deepStrictEqual(bridge.serverCapabilities, { tools: {} });
+      assert.deepStrictEqual(bridge.serverInfo, { name: 'test' });
+      assert.deepStrictEqual(initialized.firstCall.args[0], {
+        protocolVersion: '2025-06-18',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'test' },
+      });
+      assert.strictEqual(bridge.getStatus().protocolVersion, '2025-06-18');
+
+      assert.strictEqual(fetchStub.firstCall.args[1].headers['MCP-Protocol-Version'], undefined);
+      assert.strictEqual(
+        fetchStub.secondCall.args[1].headers['MCP-Protocol-Version'],
+        '2025-06-18',
+      );
+    });
+
+    test('should not send the previous version with a new initialize', async () => {
+      serve('2025-03-26');
+      await bridge.forwardToHTTP(initialize);
+      await bridge.forwardToHTTP(initialize);
+
+      assert.strictEqual(fetchStub.secondCall.args[1].headers['MCP-Protocol-Version'], undefined);
+      assert.strictEqual(bridge._supportsBatches(), true);
+    });
+
+    test('should warn when the server negotiates a different version', async () => {
+      serve('2025-03-26');
+      const warn = sinon.spy(testLogger, 'warn');
+
+      await bridge.forwardToHTTP(initialize);
+
+      assert.strictEqual(bridge.protocolVersion, '2025-03-26');
+      assert(warn.calledWithMatch({ requested: '2025-06-18', negotiated: '2025-03-26' }));
+    });
+
+    test('should send the negotiated version on the event stream and DELETE', async () => {
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (options.method === 'GET') return { ok: false, status: 405 };
+        if (options.method === 'DELETE') return { ok: true, status: 204 };
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['Mcp-Session-Id', 'session123']]),
+          json: async () => ({ jsonrpc: '2.0', result: { protocolVersion: '2025-06-18' }, id: 1 }),
+        };
+      });
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        healthMode: 'none',
+        logger: testLogger,
+      });
+      await b.start({ input: new Readable({ read() {} }), output: new Writable({ write() {} }) });
+
+      await b.processMessage(JSON.stringify(initialize), { write: () => {} });
+      await b.stop();
+
+      const headers = (method) =>
+        fetchStub.getCalls().find((call) => call.args[1]?.method === method).args[1].headers;
+      assert.strictEqual(headers('GET')['MCP-Protocol-Version'], '2025-06-18');
+      assert.strictEqual(headers('GET')['Mcp-Session-Id'], 'session123');
+      assert.strictEqual(headers('DELETE')['MCP-Protocol-Version'], '2025-06-18');
+      assert.strictEqual(headers('DELETE')['Mcp-Session-Id'], 'session123');
+    });
+  });
+
+  describe('resumable streams', () => {
+    const streamResponse = (text) => ({
+      ok: true,
+      status: 200,
+      headers: new Map([['content-type', 'text/event-stream']]),
+      body: Readable.from([Buffer.from(text)]),
+    });
+
+    const progress = (value) => {
+      const message = {
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progress: value },
+      };
+      return `data: ${JSON.stringify(message)}\n\n`;
+    };
+
+    test('should resume with Last-Event-ID without duplicating events', async () => {
+      bridge.protocolVersion = '2025-06-18';
+      fetchStub
+        .onFirstCall()
+        .resolves(
+          streamResponse('retry: 5\nid: 1\n' + progress(1) + 'id: 2\ndata: {"jsonrpc":"2.0",'),
+        );
+      fetchStub
+        .onSecondCall()
+        .resolves(
+          streamResponse(
+            'id: 1\n' +
+              progress(1) +
+              'id: 2\n' +
+              progress(2) +
+              'id: 3\ndata: {"jsonrpc":"2.0","result":{"ok":true},"id":9}\n\n',
+          ),
+        );
+
+      const relayed = [];
+      const result = await bridge.forwardToHTTP(
+        { jsonrpc: '2.0', method: 'tools/call', id: 9 },
+        { onMessage: (message) => relayed.push(message.params.progress) },
+      );
+
+      assert.deepStrictEqual(result, { jsonrpc: '2.0', result: { ok: true }, id: 9 });
+      assert.deepStrictEqual(relayed, [1, 2]);
+
+      const [url, options] = fetchStub.secondCall.args;
+      assert.strictEqual(url, 'http://localhost:3000/mcp');
+      assert.strictEqual(options.method, 'GET');
+      assert.strictEqual(options.headers['Last-Event-ID'], '1');
+      assert.strictEqual(options.headers['MCP-Protocol-Version'], '2025-06-18');
+    });
+
+    test('should give up after the maximum resume attempts', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        reconnectDelay: 1,
+        maxResumeAttempts: 2,
+      });
+      fetchStub.onFirstCall().resolves(streamResponse('id: 1\ndata: {"jsonrpc":"2.0"}\n\n'));
+      fetchStub.resolves({ ok: false, status: 503, headers: new Map() });
+
+      await assert.rejects(
+        b.forwardToHTTP({ jsonrpc: '2.0', method: 'tools/call', id: 1 }),
+        /No valid data in streaming response/,
+      );
+      assert.strictEqual(fetchStub.callCount, 3);
+    });
+  });
+
+  describe('authentication', () => {
+    test('should send auth headers on POST, GET, DELETE and health requests', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        headers: { 'X-Api-Key': 'key' },
+        bearerToken: 'tok',
+      });
+      fetchStub.resolves({
+        ok: true,
+        status: 200,
+        headers: new Map(),
+        json: async () => ({ jsonrpc: '2.0', result: {}, id: 1 }),
+      });
+
+      await b.checkHealth();
+      await b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+      await b._resumeStream('1');
+      b.sessionId = 'session123';
+      await b.terminateSession();
+
+      assert.strictEqual(fetchStub.callCount, 4);
+      for (const call of fetchStub.getCalls()) {
+        assert.strictEqual(call.args[1].headers.Authorization, 'Bearer tok');
+        assert.strictEqual(call.args[1].headers['X-Api-Key'], 'key');
+      }
+    });
+
+    test('should refresh the token and retry once on 401', async () => {
+      const runCommand = sinon.stub();
+      runCommand.onFirstCall().resolves('expired');
+      runCommand.onSecondCall().resolves('fresh');
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        tokenCommand: 'get-token',
+      });
+      b.auth.runCommand = runCommand;
+
+      fetchStub.onFirstCall().resolves({ ok: false, status: 401, headers: new Map() });
+      fetchStub.onSecondCall().resolves({
+        ok: true,
+        status: 200,
+        headers: new Map(),
+        json: async () => ({ jsonrpc: '2.0', result: 'ok', id: 1 }),
+      });
+
+      const result = await b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+
+      assert.strictEqual(result.result, 'ok');
+      assert.strictEqual(fetchStub.firstCall.args[1].headers.Authorization, 'Bearer expired');
+      assert.strictEqual(fetchStub.secondCall.args[1].headers.Authorization, 'Bearer fresh');
+    });
+
+    test('should not count a slow authorization against the request timeout', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        timeout: 50,
+      });
+      let authorized;
+      const authorizing = new Promise((resolve) => {
+        sinon.stub(b.auth, 'refresh').callsFake(() => {
+          resolve();
+          return new Promise((done) => (authorized = done));
+        });
+      });
+
+      fetchStub.onFirstCall().resolves({ ok: false, status: 401, headers: new Map() });
+      fetchStub.onSecondCall().callsFake(async (url, options) => {
+        options.signal.throwIfAborted();
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map(),
+          json: async () => ({ jsonrpc: '2.0', result: 'ok', id: 1 }),
+        };
+      });
+
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      try {
+        const pending = b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+        await authorizing;
+        // Far past the request timeout while the user is still authorizing
+        clock.tick(1000);
+        authorized(true);
+        const result = await pending;
+
+        assert.strictEqual(result.result, 'ok');
+      } finally {
+        clock.restore();
+      }
+      assert.strictEqual(fetchStub.callCount, 2);
+      assert.strictEqual(fetchStub.secondCall.args[1].timer, undefined);
+    });
+
+    test('should redact secrets in trace logs', async () => {
+      const lines = [];
+      const logger = pino(
+        { level: 'trace' },
+        new Writable({
+          write(chunk, encoding, callback) {
+            lines.push(chunk.toString());
+            callback();
+          },
+        }),
+      );
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger,
+        headers: { 'X-Api-Key': 'super-secret-key' },
+        bearerToken: 'super-secret-token',
+      });
+      fetchStub.resolves({
+        ok: true,
+        status: 200,
+        headers: new Map(),
+        json: async () => ({ jsonrpc: '2.0', result: {}, id: 1 }),
+      });
+
+      await b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+
+      const log = lines.join('');
+      assert(log.includes('[REDACTED]'));
+      assert(!log.includes('super-secret-key'));
+      assert(!log.includes('super-secret-token'));
+    });
+  });
+
+  describe('cancellation', () => {
+    const collect = (lines) =>
+      new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        },
+      });
+
+    const cancelled = (requestId) =>
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId, reason: 'User requested' },
+      });
+
+    /**
+     * Fetch stub that never answers requests and rejects like fetch once aborted
+     * Notifications are accepted with 202.
+     */
+    const pendingFetch = async (url, options) => {
+      if (JSON.parse(options.body).id === undefined) {
+        return { ok: true, status: 202, headers: new Map() };
+      }
+      options.signal.throwIfAborted();
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      });
+    };
+
+    test('should abort an in-flight request and still forward the cancellation', async () => {
+      fetchStub.callsFake(pendingFetch);
+
+      const lines = [];
+      const processing = bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 5 }),
+        collect(lines),
+      );
+      await waitFor(() => fetchStub.calledOnce);
+
+      await bridge.processMessage(cancelled(5), collect(lines));
+      await processing;
+
+      assert.deepStrictEqual(lines, []);
+      assert.strictEqual(bridge.inflightRequests.size, 0);
+      const forwarded = JSON.parse(fetchStub.secondCall.args[1].body);
+      assert.strictEqual(forwarded.method, 'notifications/cancelled');
+      assert.strictEqual(forwarded.params.requestId, 5);
+    });
+
+    test('should stop reading a streaming response and drop its late result', async () => {
+      const body = new Readable({ read() {} });
+      fetchStub.callsFake(async (url, options) => {
+        if (JSON.parse(options.body).id === undefined) {
+          return { ok: true, status: 202, headers: new Map() };
+        }
+        options.signal.addEventListener('abort', () => body.destroy(options.signal.reason));
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['content-type', 'text/event-stream']]),
+          body,
+        };
+      });
+
+      const lines = [];
+      const processing = bridge.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 6 }),
+        collect(lines),
+      );
+      body.push('data: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\n');
+      await waitFor(() => lines.length === 1);
+
+      await bridge.processMessage(cancelled(6), collect(lines));
+      body.push('data: {"jsonrpc":"2.0","result":{},"id":6}\n\n');
+      await processing;
+
+      assert.strictEqual(lines.length, 1);
+      assert.strictEqual(lines[0].method, 'notifications/progress');
+    });
+
+    test('should ignore cancellations for unknown requests', () => {
+      assert.strictEqual(bridge.cancelRequest(42), false);
+    });
+
+    test('should abort all in-flight requests on stop', async () => {
+      fetchStub.callsFake(pendingFetch);
+      bridge.running = true;
+
+      const lines = [];
+      const processing = Promise.all([
+        bridge.processMessage(
+          JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 1 }),
+          collect(lines),
+        ),
+        bridge.processMessage(
+          JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', id: 2 }),
+          collect(lines),
+        ),
+      ]);
+      await waitFor(() => fetchStub.calledTwice);
+
+      await bridge.stop();
+      await processing;
+
+      assert.deepStrictEqual(lines, []);
+      assert.strictEqual(bridge.inflightRequests.size, 0);
+    });
+  });
+
+  describe('retries and failover', () => {
+    const ok = (body, headers = []) => ({
+      ok: true,
+      status: 200,
+      headers: new Map(headers),
+      json: async () => body,
+    });
+    const failed = (status, headers = []) => ({ ok: false, status, headers: new Map(headers) });
+    const networkError = () =>
+      Object.assign(new TypeError('fetch failed'), { cause: 'ECONNRESET' });
+
+    const createBridge = (options = {}) =>
+      new MCPBridge({
+        url: 'http://a/mcp',
+        fetch: fetchStub,
+        retryDelay: 1,
+        logger: testLogger,
+        ...options,
+      });
+
+    test('should retry idempotent requests on network errors and 5xx', async () => {
+      const b = createBridge();
+      const list = { jsonrpc: '2.0', result: { tools: [] }, id: 1 };
+      fetchStub.onCall(0).rejects(networkError());
+      fetchStub.onCall(1).resolves(failed(502));
+      fetchStub.onCall(2).resolves(ok(list));
+
+      const result = await b.forwardToHTTP({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+
+      assert.deepStrictEqual(result, list);
+      assert.strictEqual(fetchStub.callCount, 3);
+    });
+
+    test('should give up after the maximum number of retries', async () => {
+      const b = createBridge({ maxRetries: 2 });
+      fetchStub.rejects(networkError());
+
+      await assert.rejects(
+        b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 }),
+        /fetch failed/,
+      );
+      assert.strictEqual(fetchStub.callCount, 3);
+    });
+
+    test('should only retry tool calls when configured', async () => {
+      const call = { jsonrpc: '2.0', method: 'tools/call', params: { name: 'build' }, id: 1 };
+      fetchStub.rejects(networkError());
+
+      await assert.rejects(createBridge().forwardToHTTP(call), /fetch failed/);
+      assert.strictEqual(fetchStub.callCount, 1);
+
+      fetchStub.reset();
+      fetchStub.onCall(0).resolves(failed(503));
+      fetchStub.onCall(1).resolves(ok({ jsonrpc: '2.0', result: {}, id: 1 }));
+      const b = createBridge({ retryMethods: ['tools/call:build'] });
+
+      assert.deepStrictEqual(await b.forwardToHTTP(call), { jsonrpc: '2.0', result: {}, id: 1 });
+    });
+
+    test('should respect Retry-After', () => {
+      const b = createBridge();
+
+      assert.strictEqual(b._retryDelay(0, failed(429, [['retry-after', '2']])), 2000);
+      const date = new Date(Date.now() + 60000).toUTCString();
+      assert.strictEqual(b._retryDelay(0, failed(429, [['retry-after', date]])), 10000);
+
+      const backoff = b._retryDelay(3);
+      assert(backoff >= 4 && backoff <= 8);
+    });
+
+    test('should fail over to the next URL and keep the session', async () => {
+      const b = createBridge({ urls: ['http://b/mcp'] });
+      b.sessionId = 'shared';
+      const failovers = [];
+      b.on('failover', (url) => failovers.push(url));
+
+      fetchStub.withArgs('http://a/mcp').rejects(networkError());
+      fetchStub.withArgs('http://b/mcp').resolves(ok({ jsonrpc: '2.0', result: {}, id: 1 }));
+
+      await b.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+      assert.deepStrictEqual(failovers, ['http://b/mcp']);
+      assert.strictEqual(b.url, 'http://b/mcp');
+      assert.strictEqual(fetchStub.lastCall.args[1].headers['Mcp-Session-Id'], 'shared');
+    });
+
+    test('should re-initialize when the failover upstream does not know the session', async () => {
+      const b = createBridge({ urls: ['http://b/mcp'] });
+      b.sessionId = 'old';
+      b.handshake.initialize = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 };
+
+      fetchStub.withArgs('http://a/mcp').rejects(networkError());
+      fetchStub.withArgs('http://b/mcp').callsFake(async (url, options) => {
+        if (options.headers['Mcp-Session-Id'] === 'old') {
+          return failed(404);
+        }
+        const { id } = JSON.parse(options.body);
+        return ok({ jsonrpc: '2.0', result: {}, id }, [['Mcp-Session-Id', 'new']]);
+      });
+
+      const result = await b.forwardToHTTP({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+
+      assert.deepStrictEqual(result, { jsonrpc: '2.0', result: {}, id: 1 });
+      assert.strictEqual(b.sessionId, 'new');
+    });
+
+    test('should fail over past unhealthy upstreams on the health check', async () => {
+      const b = createBridge({ urls: ['http://b/mcp'] });
+      fetchStub.withArgs('http://a/health').resolves(failed(503));
+      fetchStub.withArgs('http://b/health').resolves({ ok: true });
+
+      assert.strictEqual(await b.checkHealth(), true);
+      assert.strictEqual(b.url, 'http://b/mcp');
+    });
+  });
+
+  describe('resilient mode', () => {
+    let healthy;
+    let input;
+    let lines;
+    let b;
+
+    const startBridge = async (options = {}) => {
+      b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        resilient: true,
+        healthInterval: 5,
+        logger: testLogger,
+        ...options,
+      });
+      input = new PassThrough();
+      lines = [];
+      await b.start({ input, output: { write: (line) => lines.push(JSON.parse(line)) } });
+      return b;
+    };
+
+    const send = (message) => input.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+    beforeEach(() => {
+      healthy = false;
+      fetchStub.callsFake(async (url, options = {}) => {
+        if (url.endsWith('/health')) {
+          return { ok: healthy, status: healthy ? 200 : 503 };
+        }
+        if (options.method === 'GET') {
+          return { ok: false, status: 405, headers: new Map() };
+        }
+        const { id } = JSON.parse(options.body);
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['Mcp-Session-Id', 'session123']]),
+          json: async () => ({ jsonrpc: '2.0', result: {}, id }),
+        };
+      });
+    });
+
+    afterEach(async () => {
+      await b?.stop();
+      b = null;
+    });
+
+    test('should start while the server is down and replay queued messages', async () => {
+      await startBridge();
+      const events = [];
+      b.on('upstream-up', () => events.push('up'));
+      assert.strictEqual(b.upstreamUp, false);
+
+      send({ method: 'initialize', params: {}, id: 0 });
+      send({ method: 'notifications/initialized' });
+      send({ method: 'tools/list', id: 1 });
+      await waitFor(() => b.queue.length === 3);
+      assert.deepStrictEqual(lines, []);
+
+      healthy = true;
+      await waitFor(() => lines.length === 2);
+
+      assert.deepStrictEqual(events, ['up']);
+      assert.deepStrictEqual(
+        lines.map((line) => line.id),
+        [0, 1],
+      );
+      const methods = fetchStub.args
+        .filter(([, options]) => options?.method === 'POST')
+        .map(([, options]) => JSON.parse(options.body).method);
+      assert.deepStrictEqual(methods, ['initialize', 'notifications/initialized', 'tools/list']);
+    });
+
+    test('should emit upstream-down when the server goes away', async () => {
+      healthy = true;
+      await startBridge();
+      const down = new Promise((resolve) => b.once('upstream-down', resolve));
+
+      healthy = false;
+      await down;
+
+      assert.strictEqual(b.upstreamUp, false);
+    });
+
+    test('should reject requests when the queue is full', async () => {
+      await startBridge({ queueSize: 1 });
+
+      send({ method: 'tools/list', id: 1 });
+      send({ method: 'tools/list', id: 2 });
+      await waitFor(() => lines.length === 1);
+
+      assert.strictEqual(lines[0].id, 2);
+      assert.strictEqual(lines[0].error.code, -32000);
+      assert.match(lines[0].error.message, /queue is full \(1 messages\)/);
+    });
+
+    test('should fail queued requests that expire', async () => {
+      await startBridge({ queueMaxAge: 20 });
+
+      send({ method: 'tools/list', id: 1 });
+      await waitFor(() => lines.length === 1);
+
+      assert.strictEqual(lines[0].error.code, -32000);
+      assert.match(lines[0].error.message, /unavailable for 20ms, queued message expired/);
+      assert.strictEqual(b.queue.length, 0);
+    });
+  });
+
+  describe('timeouts', () => {
+    const progress = 'data: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\n';
+
+    /**
+     * Respond with an SSE stream that emits progress every 30ms and the result after `count`
+     * Aborting the request ends the stream the way fetch does.
+     */
+    const progressFetch = (count) => async (url, options) => {
+      const body = new Readable({ read() {} });
+      options.signal.addEventListener('abort', () => body.destroy(options.signal.reason));
+
+      let sent = 0;
+      const interval = setInterval(() => {
+        if (body.destroyed) {
+          clearInterval(interval);
+        } else if (++sent < count) {
+          body.push(progress);
+        } else {
+          clearInterval(interval);
+          body.push('data: {"jsonrpc":"2.0","result":{},"id":1}\n\n');
+          body.push(null);
+        }
+      }, 30);
+
+      return {
+        ok: true,
+        status: 200,
+        headers: new Map([['content-type', 'text/event-stream']]),
+        body,
+      };
+    };
+
+    const call = { jsonrpc: '2.0', method: 'tools/call', params: { name: 'build' }, id: 1 };
+
+    test('should pick the most specific timeout for a request', () => {
+      const b = new MCPBridge({
+        timeout: 1000,
+        timeouts: { 'tools/list': 50, 'tools/call': 2000, 'tools/call:build': 600000 },
+        logger: testLogger,
+      });
+
+      assert.strictEqual(b._timeoutFor({ method: 'tools/list' }), 50);
+      assert.strictEqual(b._timeoutFor(call), 600000);
+      assert.strictEqual(b._timeoutFor({ method: 'tools/call', params: { name: 'x' } }), 2000);
+      assert.strictEqual(b._timeoutFor({ method: 'ping' }), 1000);
+    });
+
+    test('should answer timed-out requests with a distinct code and the elapsed time', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        timeouts: { 'tools/call': 50 },
+        fetch: progressFetch(100),
+        logger: testLogger,
+      });
+
+      const lines = [];
+      const output = { write: (line) => lines.push(JSON.parse(line)) };
+      await b.processMessage(JSON.stringify(call), output);
+
+      const { error } = lines.find((line) => line.id === 1);
+      assert.strictEqual(error.code, -32001);
+      assert.match(error.message, /^Request timeout after 50ms \(\d+ms elapsed\)$/);
+      assert.strictEqual(error.data.timeout, 50);
+      assert(typeof error.data.elapsed === 'number');
+    });
+
+    test('should restart the timeout on each progress notification', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        timeout: 80,
+        resetTimeoutOnProgress: true,
+        fetch: progressFetch(6),
+        logger: testLogger,
+      });
+
+      const result = await b.forwardToHTTP(call);
+      assert.deepStrictEqual(result, { jsonrpc: '2.0', result: {}, id: 1 });
+    });
+
+    test('should enforce the maximum total duration despite progress', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        timeout: 80,
+        resetTimeoutOnProgress: true,
+        maxTotalTimeout: 100,
+        fetch: progressFetch(100),
+        logger: testLogger,
+      });
+
+      await assert.rejects(b.forwardToHTTP(call), (error) => {
+        assert.strictEqual(error.name, 'TimeoutError');
+        assert.match(error.message, /maximum duration of 100ms/);
+        return true;
+      });
+    });
+  });
+
+  describe('policy', () => {
+    const collect = (lines) =>
+      new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        },
+      });
+
+    test('should reject blocked tool calls without contacting the server', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        policy: { tools: { deny: ['delete_*'] } },
+      });
+
+      const lines = [];
+      await b.processMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'tools/call',
+          params: { name: 'delete_repo' },
+          id: 4,
+        }),
+        collect(lines),
+      );
+
+      assert(fetchStub.notCalled);
+      assert.strictEqual(lines[0].id, 4);
+      assert.strictEqual(lines[0].error.code, -32602);
+      assert.match(lines[0].error.message, /delete_repo/);
+    });
+
+    test('should filter list responses passing through', async () => {
+      const b = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        logger: testLogger,
+        policy: { readOnly: true },
+      });
+      fetchStub.resolves({
+        ok: true,
+        status: 200,
+        headers: new Map(),
+        json: async () => ({
+          jsonrpc: '2.0',
+          result: {
+            tools: [{ name: 'get', annotations: { readOnlyHint: true } }, { name: 'put' }],
+          },
+          id: 1,
+        }),
+      });
+
+      const lines = [];
+      await b.processMessage(
+        JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 }),
+        collect(lines),
+      );
+
+      assert.deepStrictEqual(
+        lines[0].result.tools.map((tool) => tool.name),
+        ['get'],
+      );
+    });
+  });
 });
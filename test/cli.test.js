@@ -9,9 +9,15 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import pino from 'pino';
+import { MCPHTTPServer } from '../src/server.js';
+import { waitFor } from './helpers.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const cliPath = join(__dirname, '../src/cli.js');
+const stdioFixturePath = join(__dirname, 'fixtures/stdio-server.js');
 const packagePath = join(__dirname, '../package.json');
 const packageJson = JSON.parse(readFileSync(packagePath, 'utf8'));
 const expectedVersion = packageJson.version;
@@ -32,23 +38,114 @@ describe('CLI', () => {
 
   test('should fail when server is not reachable', async () => {
     const result = await runCLI(['--url', 'http://localhost:99999/mcp', '--timeout', '100']);
-    // The error is logged to stdout via structured logging, not stderr
+    // Logs go to stderr; stdout is reserved for JSON-RPC
     assert(
-      result.stdout.includes('Failed to start bridge') ||
-        result.stdout.includes('MCP server not reachable'),
+      result.stderr.includes('Failed to start bridge') ||
+        result.stderr.includes('MCP server not reachable'),
     );
+    assert.strictEqual(result.stdout, '');
     assert.notStrictEqual(result.code, 0);
   });
+
+  test('should take settings from a profile, with flags and env winning', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-cli-'));
+    try {
+      const config = join(dir, 'mcp-bridge.config.json');
+      await writeFile(
+        config,
+        JSON.stringify({
+          profiles: { dev: { url: 'http://localhost:1/${MCP_PATH}', timeout: 100 } },
+        }),
+      );
+      const env = { MCP_PATH: 'profile' };
+
+      let result = await runCLI(['--config', config, '--profile', 'dev'], env);
+      assert(result.stderr.includes('localhost:1/profile'));
+
+      result = await runCLI(['--config', config, '-P', 'dev'], {
+        ...env,
+        MCP_HTTP_URL: 'http://localhost:1/env',
+      });
+      assert(result.stderr.includes('localhost:1/env'));
+
+      result = await runCLI(['-c', config, '-P', 'dev', '--url', 'http://localhost:1/flag'], {
+        ...env,
+        MCP_HTTP_URL: 'http://localhost:1/env',
+      });
+      assert(result.stderr.includes('localhost:1/flag'));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write nothing but JSON-RPC to stdout', async () => {
+    const server = new MCPHTTPServer({
+      command: process.execPath,
+      args: [stdioFixturePath],
+      port: 0,
+      logger: pino({ level: 'silent' }),
+    });
+    const address = await server.start();
+
+    try {
+      const url = `http://127.0.0.1:${address.port}/mcp`;
+      const proc = spawn('node', [cliPath, '--url', url, '--log-level', 'trace'], {
+        env: { ...process.env, LOG_LEVEL: 'trace' },
+      });
+      let stdout = '';
+      let stderr = '';
+      proc.stdout.on('data', (data) => (stdout += data));
+      proc.stderr.on('data', (data) => (stderr += data));
+      const closed = new Promise((resolve) => proc.on('close', resolve));
+
+      const send = (message) =>
+        proc.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+      const waitForOutput = (text) => waitFor(() => stdout.includes(text), { interval: 10 });
+
+      send({ method: 'initialize', params: {}, id: 0 });
+      await waitForOutput('"id":0');
+      send({ method: 'notifications/initialized' });
+      send({ method: 'tools/call', params: { name: 'x', _meta: { progressToken: 'p' } }, id: 1 });
+      send({ method: 'ping', id: 2 });
+      await waitForOutput('"id":2');
+      proc.kill();
+      await closed;
+
+      const lines = stdout.trim().split('\n');
+      for (const line of lines) {
+        assert.strictEqual(JSON.parse(line).jsonrpc, '2.0', `not JSON-RPC: ${line}`);
+      }
+      assert(lines.some((line) => line.includes('notifications/progress')));
+      assert(stderr.includes('Starting MCP bridge'));
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('should fail on an invalid config file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-cli-'));
+    try {
+      const config = join(dir, 'mcp-bridge.config.json');
+      await writeFile(config, JSON.stringify({ profiles: { dev: { timout: 100 } } }));
+
+      const result = await runCLI(['--config', config, '--profile', 'dev']);
+      assert.match(result.stderr, /Unknown setting "timout" in profile "dev"/);
+      assert.notStrictEqual(result.code, 0);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
 });
 
 /**
  * Helper to run CLI and capture output
  * @param {Array} args - CLI arguments
+ * @param {Object} [env] - Extra environment variables
  * @returns {Promise<Object>} Result with stdout, stderr, and exit code
  */
-function runCLI(args) {
+function runCLI(args, env = {}) {
   return new Promise((resolve) => {
-    const proc = spawn('node', [cliPath, ...args]);
+    const proc = spawn('node', [cliPath, ...args], { env: { ...process.env, ...env } });
     let stdout = '';
     let stderr = '';
 
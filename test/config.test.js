@@ -0,0 +1,104 @@
+/**
+ * @module test/config
+ * @description Tests for config profiles
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expandEnv, loadConfig, resolveProfile } from '../src/config.js';
+
+describe('config', () => {
+  let dir;
+  let path;
+
+  /**
+   * Write a config file to the temporary directory
+   * @param {Object} config - Config contents
+   * @returns {Promise<void>}
+   */
+  const writeConfig = (config) => writeFile(path, JSON.stringify(config));
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-config-'));
+    path = join(dir, 'mcp-bridge.config.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should load a valid config', async () => {
+    const config = {
+      profiles: {
+        dev: {
+          url: 'http://localhost:3200/mcp',
+          timeout: 5000,
+          timeouts: { 'tools/call': 60000 },
+          headers: { 'X-Team': 'core' },
+          oauth: { scope: 'mcp' },
+          logLevel: 'debug',
+          policy: { readOnly: true },
+          maxRetries: 0,
+        },
+      },
+    };
+    await writeConfig(config);
+    assert.deepStrictEqual(loadConfig(path), config);
+  });
+
+  test('should reject unknown keys and wrong types', async () => {
+    await writeConfig({ profiles: { dev: { url: 'http://x/mcp', retries: 3 } } });
+    assert.throws(() => loadConfig(path), /Unknown setting "retries" in profile "dev"/);
+
+    await writeConfig({ profiles: { dev: { timeout: '5000' } } });
+    assert.throws(
+      () => loadConfig(path),
+      /"timeout" in profile "dev" .* must be a positive integer/,
+    );
+
+    await writeConfig({ profiles: { dev: { logLevel: 'loud' } } });
+    assert.throws(() => loadConfig(path), /"logLevel" in profile "dev" .* must be trace\/debug/);
+
+    await writeConfig({ profile: {} });
+    assert.throws(() => loadConfig(path), /must have a "profiles" object/);
+
+    assert.throws(() => loadConfig(join(dir, 'missing.json')), /Failed to read config/);
+  });
+
+  test('should expand environment variables in strings', () => {
+    const env = { TOKEN: 'secret', HOST: 'mcp' };
+    const profile = { url: 'http://${HOST}:3200/mcp', headers: { 'X-Token': '${TOKEN}' } };
+
+    assert.deepStrictEqual(expandEnv(profile, env, 'profile "dev"'), {
+      url: 'http://mcp:3200/mcp',
+      headers: { 'X-Token': 'secret' },
+    });
+    assert.throws(
+      () => expandEnv({ bearerToken: '${MISSING}' }, env, 'profile "dev"'),
+      /MISSING used by profile "dev".bearerToken is not set/,
+    );
+  });
+
+  test('should resolve the requested or default profile', async () => {
+    await writeConfig({
+      profiles: {
+        default: { url: 'http://default/mcp' },
+        prod: { url: 'https://prod/mcp', bearerToken: '${PROD_TOKEN}' },
+      },
+    });
+    const env = { PROD_TOKEN: 'secret' };
+
+    assert.deepStrictEqual(resolveProfile({ config: path, env }), { url: 'http://default/mcp' });
+    assert.deepStrictEqual(resolveProfile({ config: path, profile: 'prod', env }), {
+      url: 'https://prod/mcp',
+      bearerToken: 'secret',
+    });
+    assert.throws(
+      () => resolveProfile({ config: path, profile: 'staging', env }),
+      /Profile "staging" not found .*available: default, prod/,
+    );
+  });
+});
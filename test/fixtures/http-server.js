@@ -0,0 +1,21 @@
+/**
+ * @module test/fixtures/http-server
+ * @description Minimal HTTP server with a health endpoint, used by the supervisor tests
+ */
+
+import http from 'http';
+
+const port = parseInt(process.argv[2], 10);
+
+http
+  .createServer((req, res) => {
+    if (req.url === '/exit') {
+      res.end(() => process.exit(1));
+      return;
+    }
+    res.writeHead(req.url === '/health' ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'healthy', pid: process.pid }));
+  })
+  .listen(port, '127.0.0.1', () => {
+    process.stderr.write(`listening on ${port}\n`);
+  });
@@ -0,0 +1,41 @@
+/**
+ * @module test/fixtures/stdio-server
+ * @description Minimal stdio MCP server used by the tests
+ */
+
+import readline from 'readline';
+
+const send = (message) => {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+
+  if (message.method === 'initialize') {
+    send({
+      id: message.id,
+      result: {
+        protocolVersion: message.params?.protocolVersion || '2025-03-26',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'fixture', version: '1.0.0' },
+      },
+    });
+  } else if (message.method === 'tools/call') {
+    const progressToken = message.params?._meta?.progressToken;
+    if (progressToken !== undefined) {
+      send({ method: 'notifications/progress', params: { progressToken, progress: 1 } });
+    }
+    send({ id: message.id, result: { content: [{ type: 'text', text: `pid ${process.pid}` }] } });
+  } else if (message.method === 'notify') {
+    send({ method: 'notifications/message', params: { level: 'info', data: 'hello' } });
+    send({ id: message.id, result: {} });
+  } else if (message.method === 'noise') {
+    process.stdout.write('null\n42\n"text"\n');
+    send({ id: message.id, result: {} });
+  } else if (message.method === 'crash') {
+    process.exit(1);
+  } else if (message.id !== undefined && message.method) {
+    send({ id: message.id, result: {} });
+  }
+});
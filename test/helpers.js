@@ -0,0 +1,25 @@
+/**
+ * @module test/helpers
+ * @description Helpers shared by the tests
+ */
+
+/**
+ * Wait until a condition becomes true
+ * @param {Function} predicate - Condition to poll
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeout=5000] - Time allowed before failing, in milliseconds
+ * @param {number} [options.interval=1] - Polling interval in milliseconds
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition is still false when the timeout elapses
+ */
+export const waitFor = async (predicate, options = {}) => {
+  const { timeout = 5000, interval = 1 } = options;
+  const deadline = Date.now() + timeout;
+
+  while (!predicate()) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Condition not met within ${timeout}ms: ${predicate}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
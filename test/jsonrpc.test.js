@@ -0,0 +1,60 @@
+/**
+ * @module test/jsonrpc
+ * @description Tests for JSON-RPC message validation
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { replyId, validateMessage } from '../src/jsonrpc.js';
+
+describe('validateMessage', () => {
+  test('should accept valid requests, notifications and responses', () => {
+    const valid = [
+      { jsonrpc: '2.0', method: 'tools/list', id: 1 },
+      { jsonrpc: '2.0', method: 'tools/call', params: { name: 'x' }, id: 'abc' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', result: {}, id: 0 },
+      { jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: 'req-1' },
+      { jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null },
+    ];
+
+    for (const message of valid) {
+      assert.strictEqual(validateMessage(message), null, JSON.stringify(message));
+    }
+  });
+
+  test('should explain why a message is invalid', () => {
+    const cases = [
+      ['x', /must be an object/],
+      [{ method: 'ping', id: 1 }, /jsonrpc must be "2.0"/],
+      [{ jsonrpc: '2.0', method: 1, id: 1 }, /method must be a string/],
+      [{ jsonrpc: '2.0', method: 'ping', id: null }, /id must be a string or an integer/],
+      [{ jsonrpc: '2.0', method: 'ping', id: 1.5 }, /id must be a string or an integer/],
+      [{ jsonrpc: '2.0', method: 'ping', params: [1], id: 1 }, /params must be an object/],
+      [{ jsonrpc: '2.0', method: 'ping', result: {}, id: 1 }, /cannot have a result/],
+      [{ jsonrpc: '2.0' }, /must have a method or an id/],
+      [{ jsonrpc: '2.0', id: 1 }, /either a result or an error/],
+      [{ jsonrpc: '2.0', result: {}, error: {}, id: 1 }, /either a result or an error/],
+      [{ jsonrpc: '2.0', result: {}, id: null }, /id must be a string or an integer/],
+      [{ jsonrpc: '2.0', error: { code: 'x', message: 'm' }, id: 1 }, /integer code/],
+    ];
+
+    for (const [message, expected] of cases) {
+      assert.match(validateMessage(message), expected);
+    }
+  });
+
+  test('should not allow initialize in a batch', () => {
+    const initialize = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 };
+
+    assert.strictEqual(validateMessage(initialize), null);
+    assert.match(validateMessage(initialize, { inBatch: true }), /initialize cannot be part/);
+  });
+
+  test('should reply with the message ID only when it is valid', () => {
+    assert.strictEqual(replyId({ id: 0 }), 0);
+    assert.strictEqual(replyId({ id: 'a' }), 'a');
+    assert.strictEqual(replyId({ id: { nested: true } }), null);
+    assert.strictEqual(replyId([1]), null);
+  });
+});
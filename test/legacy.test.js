@@ -0,0 +1,223 @@
+/**
+ * @module test/legacy
+ * @description Tests for the legacy HTTP+SSE transport
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { PassThrough } from 'stream';
+import pino from 'pino';
+import { LegacySSEClient } from '../src/legacy.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+/**
+ * Start a server that only speaks the legacy HTTP+SSE transport
+ * `GET /sse` opens a stream announcing `/messages?sessionId=N`; messages POSTed there are
+ * answered on that stream. `tools/call` first sends a progress notification.
+ * @returns {Promise<Object>} `{ url, received, streams, close }`
+ */
+const startLegacyServer = async () => {
+  const received = [];
+  const streams = new Map();
+  let sessions = 0;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const sessionId = String(++sessions);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+      streams.set(sessionId, res);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const stream = streams.get(url.searchParams.get('sessionId'));
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        const message = JSON.parse(body);
+        received.push({ sessionId: url.searchParams.get('sessionId'), message });
+        res.writeHead(202);
+        res.end('Accepted');
+
+        const send = (reply) => stream.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+        if (message.method === 'tools/call') {
+          send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+        }
+        if (message.method === 'initialize') {
+          send({ jsonrpc: '2.0', result: { protocolVersion: '2024-11-05' }, id: message.id });
+        } else if (message.method !== 'hang' && message.id !== undefined) {
+          send({ jsonrpc: '2.0', result: { method: message.method }, id: message.id });
+        }
+      });
+      return;
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    base,
+    received,
+    streams,
+    close: async () => {
+      for (const stream of streams.values()) {
+        stream.destroy();
+      }
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+describe('legacy HTTP+SSE transport', () => {
+  let server;
+  let logger;
+
+  beforeEach(async () => {
+    server = await startLegacyServer();
+    logger = pino({ level: 'silent' });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  describe('LegacySSEClient', () => {
+    let client;
+
+    afterEach(() => {
+      client.close();
+    });
+
+    test('should match responses on the stream to requests and emit other messages', async () => {
+      client = new LegacySSEClient({ url: `${server.base}/sse`, fetch, logger });
+      const messages = [];
+      client.on('message', (message) => messages.push(message));
+
+      const [first, second] = await Promise.all([
+        client.send({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'x' }, id: 1 }),
+        client.send({ jsonrpc: '2.0', method: 'tools/list', id: 'b' }),
+      ]);
+
+      assert.strictEqual(client.endpoint, `${server.base}/messages?sessionId=1`);
+      assert.deepStrictEqual(first, { jsonrpc: '2.0', result: { method: 'tools/call' }, id: 1 });
+      assert.deepStrictEqual(second, { jsonrpc: '2.0', result: { method: 'tools/list' }, id: 'b' });
+      assert.strictEqual(messages[0].method, 'notifications/progress');
+
+      const sent = await client.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      assert.strictEqual(sent, null);
+    });
+
+    test('should fail pending requests when the stream drops', async () => {
+      client = new LegacySSEClient({ url: `${server.base}/sse`, fetch, logger });
+      const disconnected = new Promise((resolve) => client.once('disconnect', resolve));
+
+      const pending = client.send({ jsonrpc: '2.0', method: 'hang', id: 1 });
+      await waitFor(() => server.received.length === 1);
+      server.streams.get('1').end();
+
+      await assert.rejects(pending, /stream closed before the response arrived/);
+      await disconnected;
+      assert.strictEqual(client.connected, false);
+    });
+
+    test('should reject a server that does not offer an SSE stream', async () => {
+      client = new LegacySSEClient({ url: `${server.base}/mcp`, fetch, logger });
+      await assert.rejects(client.connect(), /did not open an SSE stream \(status 405\)/);
+    });
+  });
+
+  describe('MCPBridge', () => {
+    let bridge;
+    let input;
+    let lines;
+
+    /**
+     * Start a bridge and collect what it writes to the client
+     * @param {Object} options - Bridge options
+     * @returns {Promise<void>}
+     */
+    const startBridge = async (options) => {
+      bridge = new MCPBridge({ healthMode: 'none', fetch, logger, ...options });
+      input = new PassThrough();
+      lines = [];
+      await bridge.start({ input, output: { write: (line) => lines.push(JSON.parse(line)) } });
+    };
+
+    /**
+     * Send a message to the bridge and wait for the response with its ID
+     * @param {Object} message - JSON-RPC message without `jsonrpc`
+     * @returns {Promise<Object>} Response
+     */
+    const request = async (message) => {
+      input.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+      await waitFor(() => lines.some((line) => line.id === message.id));
+      return lines.find((line) => line.id === message.id);
+    };
+
+    afterEach(async () => {
+      await bridge?.stop();
+    });
+
+    test('should reject an unknown transport', () => {
+      assert.throws(() => new MCPBridge({ transport: 'ws', logger }), /Unknown transport "ws"/);
+    });
+
+    test('should fall back to legacy HTTP+SSE in auto mode', async () => {
+      await startBridge({ url: `${server.base}/sse`, transport: 'auto' });
+
+      const initialized = await request({ method: 'initialize', params: {}, id: 0 });
+      assert.strictEqual(initialized.result.protocolVersion, '2024-11-05');
+      assert.strictEqual(bridge.getStatus().transport, 'sse');
+
+      const call = await request({ method: 'tools/call', params: { name: 'x' }, id: 1 });
+      assert.deepStrictEqual(call.result, { method: 'tools/call' });
+      assert(lines.some((line) => line.method === 'notifications/progress'));
+      assert.deepStrictEqual(
+        server.received.map(({ message }) => message.method),
+        ['initialize', 'tools/call'],
+      );
+    });
+
+    test('should not fall back in streamable mode', async () => {
+      await startBridge({ url: `${server.base}/sse`, maxRetries: 0 });
+
+      const response = await request({ method: 'initialize', params: {}, id: 0 });
+
+      assert.strictEqual(server.received.length, 0);
+      assert.strictEqual(bridge.getStatus().transport, 'streamable');
+      assert.ok(response);
+    });
+
+    test('should re-initialize after the stream drops in sse mode', async () => {
+      await startBridge({ url: `${server.base}/sse`, transport: 'sse' });
+      await request({ method: 'initialize', params: {}, id: 0 });
+      input.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+      await waitFor(() => server.received.length === 2);
+
+      server.streams.get('1').end();
+      await waitFor(() => !bridge.legacy.connected);
+
+      const response = await request({ method: 'tools/list', id: 1 });
+
+      assert.deepStrictEqual(response.result, { method: 'tools/list' });
+      assert.deepStrictEqual(
+        server.received.slice(2).map(({ sessionId, message }) => [sessionId, message.method]),
+        [
+          ['2', 'initialize'],
+          ['2', 'notifications/initialized'],
+          ['2', 'tools/list'],
+        ],
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @module test/logger
+ * @description Tests for logger configuration
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLogger, RotatingFileStream } from '../src/logger.js';
+
+describe('createLogger', () => {
+  let lines;
+  let destination;
+
+  beforeEach(() => {
+    lines = [];
+    destination = { write: (line) => lines.push(line) };
+  });
+
+  test('should write JSON lines in json format', () => {
+    const logger = createLogger({ level: 'info', format: 'json', destination });
+    logger.info({ url: 'http://x/mcp' }, 'Starting');
+
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.msg, 'Starting');
+    assert.strictEqual(entry.url, 'http://x/mcp');
+  });
+
+  test('should pretty print regardless of NODE_ENV', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      const logger = createLogger({ level: 'info', format: 'pretty', destination });
+      logger.info('Starting');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      if (nodeEnv === undefined) {
+        delete process.env.NODE_ENV;
+      }
+    }
+
+    assert.match(lines[0], /INFO.*\[MCP-Bridge\] Starting/);
+  });
+
+  test('should reject an unknown format', () => {
+    assert.throws(() => createLogger({ format: 'xml', destination }), /Unknown log format "xml"/);
+  });
+});
+
+describe('RotatingFileStream', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-log-'));
+    file = join(dir, 'logs', 'bridge.log');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should rotate at the size limit and keep maxFiles rotated files', async () => {
+    const stream = new RotatingFileStream({ file, maxSize: 10, maxFiles: 2 });
+    for (const line of ['line-1\n', 'line-2\n', 'line-3\n', 'line-4\n']) {
+      stream.write(line);
+    }
+    stream.end();
+
+    assert.deepStrictEqual((await readdir(join(dir, 'logs'))).sort(), [
+      'bridge.log',
+      'bridge.log.1',
+      'bridge.log.2',
+    ]);
+    assert.strictEqual(await readFile(file, 'utf-8'), 'line-4\n');
+    assert.strictEqual(await readFile(`${file}.1`, 'utf-8'), 'line-3\n');
+    assert.strictEqual(await readFile(`${file}.2`, 'utf-8'), 'line-2\n');
+  });
+
+  test('should write file logs through createLogger', async () => {
+    const logger = createLogger({ level: 'info', format: 'json', file });
+    logger.info('Written to file');
+
+    const entry = JSON.parse(await readFile(file, 'utf-8'));
+    assert.strictEqual(entry.msg, 'Written to file');
+  });
+});
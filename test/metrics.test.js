@@ -0,0 +1,147 @@
+/**
+ * @module test/metrics
+ * @description Tests for metrics and the admin server
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import sinon from 'sinon';
+import pino from 'pino';
+import { Metrics } from '../src/metrics.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+describe('Metrics', () => {
+  test('should render counters, gauges and histograms in Prometheus text format', () => {
+    const metrics = new Metrics({ collect: (m) => m.inflight.set(2) });
+    const started = Date.now() - 300;
+
+    metrics.recordRequest({ method: 'tools/call', params: { name: 'build' } }, 'success', started);
+    metrics.recordRequest({ method: 'tools/list' }, 'error', started);
+    metrics.upstreamResponses.inc({ method: 'POST', status: 200 });
+
+    const text = metrics.render();
+    assert.match(text, /# TYPE mcp_bridge_requests_total counter/);
+    assert.match(
+      text,
+      /^mcp_bridge_requests_total\{method="tools\/call",tool="build",outcome="success"\} 1$/m,
+    );
+    assert.match(
+      text,
+      /^mcp_bridge_requests_total\{method="tools\/list",tool="",outcome="error"\} 1$/m,
+    );
+    const bucket = 'mcp_bridge_request_duration_seconds_bucket{method="tools/call",tool="build"';
+    assert(text.includes(`${bucket},le="0.25"} 0\n`));
+    assert(text.includes(`${bucket},le="0.5"} 1\n`));
+    assert.match(
+      text,
+      /^mcp_bridge_request_duration_seconds_count\{method="tools\/call",tool="build"\} 1$/m,
+    );
+    assert.match(text, /^mcp_bridge_upstream_responses_total\{method="POST",status="200"\} 1$/m);
+    assert.match(text, /^mcp_bridge_sse_events_relayed_total 0$/m);
+    assert.match(text, /^mcp_bridge_inflight_requests 2$/m);
+  });
+
+  test('should escape label values', () => {
+    const metrics = new Metrics();
+    metrics.recordRequest({ method: 'tools/call', params: { name: 'a"b\\c' } }, 'success', 0);
+
+    assert.match(metrics.render(), /tool="a\\"b\\\\c"/);
+  });
+});
+
+describe('Admin server', () => {
+  let fetchStub;
+  let bridge;
+  let input;
+  let base;
+
+  beforeEach(async () => {
+    fetchStub = sinon.stub().callsFake(async (url, options = {}) => {
+      if (url.endsWith('/health')) {
+        return { ok: true, status: 200 };
+      }
+      if (options.method !== 'POST') {
+        return { ok: false, status: 405, headers: new Map() };
+      }
+      const { method, id } = JSON.parse(options.body);
+      if (method === 'tools/call') {
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['content-type', 'text/event-stream']]),
+          body: null,
+          text: async () =>
+            'data: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\n' +
+            `data: {"jsonrpc":"2.0","result":{},"id":${id}}\n\n`,
+        };
+      }
+      return {
+        ok: true,
+        status: 200,
+        headers: new Map([['Mcp-Session-Id', 'session123']]),
+        json: async () => ({ jsonrpc: '2.0', result: {}, id }),
+      };
+    });
+
+    bridge = new MCPBridge({
+      url: 'http://localhost:3000/mcp',
+      fetch: fetchStub,
+      admin: { port: 0 },
+      logger: pino({ level: 'silent' }),
+    });
+    input = new PassThrough();
+    const lines = [];
+    await bridge.start({ input, output: { write: (line) => lines.push(JSON.parse(line)) } });
+    base = `http://127.0.0.1:${bridge.admin.server.address().port}`;
+
+    input.write(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 }) + '\n');
+    await waitFor(() => lines.length === 1);
+    input.write(
+      JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'x' }, id: 1 }) + '\n',
+    );
+    await waitFor(() => lines.some((line) => line.id === 1));
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+  });
+
+  test('should serve metrics recorded while forwarding', async () => {
+    const response = await fetch(`${base}/metrics`);
+    const text = await response.text();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/plain/);
+    assert.match(
+      text,
+      /^mcp_bridge_requests_total\{method="initialize",tool="",outcome="success"\} 1$/m,
+    );
+    assert.match(
+      text,
+      /^mcp_bridge_requests_total\{method="tools\/call",tool="x",outcome="success"\} 1$/m,
+    );
+    assert.match(text, /^mcp_bridge_upstream_responses_total\{method="POST",status="200"\} 2$/m);
+    assert.match(text, /^mcp_bridge_sse_events_relayed_total 1$/m);
+    assert.match(text, /^mcp_bridge_sessions_total 1$/m);
+    assert.match(text, /^mcp_bridge_inflight_requests 0$/m);
+    assert.match(text, /^mcp_bridge_upstream_up 1$/m);
+  });
+
+  test('should serve the bridge status', async () => {
+    const status = await (await fetch(`${base}/status`)).json();
+
+    assert.strictEqual(status.sessionId, 'session123');
+    assert.strictEqual(status.url, 'http://localhost:3000/mcp');
+    assert.strictEqual(status.upstreamUp, true);
+    assert.strictEqual(typeof status.uptime, 'number');
+
+    assert.strictEqual((await fetch(`${base}/other`)).status, 404);
+  });
+
+  test('should stop listening when the bridge stops', async () => {
+    await bridge.stop();
+    await assert.rejects(fetch(`${base}/status`));
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * @module test/oauth
+ * @description Tests for OAuthProvider against a local stub authorization server
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { createHash } from 'crypto';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import pino from 'pino';
+import { MCPBridge } from '../src/index.js';
+import { OAuthProvider, parseResourceMetadata, snakeCaseKeys } from '../src/oauth.js';
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+const readBody = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body;
+};
+
+describe('OAuthProvider', () => {
+  let server;
+  let base;
+  let cacheDir;
+  let cacheFile;
+  let stub;
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      const url = new URL(req.url, base);
+      const json = (status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+      };
+
+      if (url.pathname === '/.well-known/oauth-protected-resource/mcp') {
+        return json(
+          200,
+          snakeCaseKeys({ resource: `${base}/mcp`, authorizationServers: [`${base}/auth`] }),
+        );
+      }
+      if (url.pathname === '/.well-known/oauth-authorization-server/auth') {
+        return json(
+          200,
+          snakeCaseKeys({
+            issuer: `${base}/auth`,
+            authorizationEndpoint: `${base}/auth/authorize`,
+            tokenEndpoint: `${base}/auth/token`,
+            registrationEndpoint: `${base}/auth/register`,
+          }),
+        );
+      }
+      if (url.pathname === '/auth/register') {
+        stub.registration = JSON.parse(await readBody(req));
+        return json(201, snakeCaseKeys({ clientId: 'client-1' }));
+      }
+      if (url.pathname === '/auth/authorize') {
+        stub.challenge = url.searchParams.get('code_challenge');
+        stub.resource = url.searchParams.get('resource');
+        const redirect = new URL(url.searchParams.get('redirect_uri'));
+        redirect.searchParams.set('code', 'code-1');
+        redirect.searchParams.set('state', url.searchParams.get('state'));
+        res.writeHead(302, { Location: redirect.href }).end();
+        return;
+      }
+      if (url.pathname === '/auth/token') {
+        const params = new URLSearchParams(await readBody(req));
+        if (params.get('client_id') !== 'client-1') {
+          return json(401, { error: 'invalid_client' });
+        }
+        if (params.get('grant_type') === 'refresh_token') {
+          stub.refreshes++;
+          return json(
+            200,
+            snakeCaseKeys({ accessToken: `access-r${stub.refreshes}`, expiresIn: 3600 }),
+          );
+        }
+        const hash = createHash('sha256').update(params.get('code_verifier')).digest('base64url');
+        if (params.get('code') !== 'code-1' || hash !== stub.challenge) {
+          return json(400, { error: 'invalid_grant' });
+        }
+        return json(
+          200,
+          snakeCaseKeys({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 3600 }),
+        );
+      }
+      if (url.pathname === '/mcp') {
+        const auth = req.headers.authorization || '';
+        if (!auth.startsWith('Bearer access-')) {
+          const metadata = `${base}/.well-known/oauth-protected-resource/mcp`;
+          res.writeHead(401, { 'WWW-Authenticate': `Bearer resource_metadata="${metadata}"` });
+          res.end();
+          return;
+        }
+        const body = JSON.parse(await readBody(req));
+        return json(200, { jsonrpc: '2.0', result: { auth }, id: body.id });
+      }
+      res.writeHead(404).end();
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    cacheDir = await mkdtemp(join(tmpdir(), 'mcp-bridge-oauth-'));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stub = { refreshes: 0 };
+    cacheFile = join(cacheDir, `tokens-${Date.now()}-${Math.random()}.json`);
+  });
+
+  const openBrowser = async (url) => {
+    await fetch(url);
+  };
+
+  test('should parse resource metadata from WWW-Authenticate', () => {
+    const header = 'Bearer realm="mcp", resource_metadata="https://example.com/.well-known/x"';
+    assert.strictEqual(parseResourceMetadata(header), 'https://example.com/.well-known/x');
+    assert.strictEqual(parseResourceMetadata('Bearer'), null);
+    assert.strictEqual(parseResourceMetadata(null), null);
+  });
+
+  test('should convert parameter keys to snake_case and drop empty ones', () => {
+    const params = { grantType: 'refresh_token', clientId: 'c', scope: undefined, secret: null };
+    assert.deepStrictEqual(Object.entries(snakeCaseKeys(params)), [
+      ['grant_type', 'refresh_token'],
+      ['client_id', 'c'],
+    ]);
+  });
+
+  test('should discover the authorization server', async () => {
+    const provider = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile });
+    const metadata = await provider.discover();
+    assert.strictEqual(metadata.token_endpoint, `${base}/auth/token`);
+  });
+
+  test('should authorize through the bridge on 401 and cache the tokens', async () => {
+    const bridge = new MCPBridge({
+      url: `${base}/mcp`,
+      logger: pino({ level: 'silent' }),
+      oauth: { cacheFile, openBrowser },
+    });
+
+    const response = await bridge.forwardToHTTP({ jsonrpc: '2.0', method: 'ping', id: 1 });
+
+    assert.strictEqual(response.result.auth, 'Bearer access-1');
+    assert.strictEqual(stub.registration.token_endpoint_auth_method, 'none');
+    assert.strictEqual(stub.resource, `${base}/mcp`);
+
+    const cache = JSON.parse(await readFile(cacheFile, 'utf-8'));
+    assert.strictEqual(cache[`${base}/mcp`].tokens.accessToken, 'access-1');
+    assert.strictEqual(cache[`${base}/mcp`].client.clientId, 'client-1');
+  });
+
+  test('should reuse cached tokens and refresh them before they expire', async () => {
+    const first = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile, openBrowser });
+    assert.strictEqual(await first.refresh(), true);
+
+    const second = new OAuthProvider({
+      serverUrl: `${base}/mcp`,
+      cacheFile,
+      openBrowser: () => assert.fail('should not authorize again'),
+    });
+    assert.strictEqual(await second.getToken(), 'access-1');
+
+    second.entry.tokens.expiresAt = Date.now();
+    assert.strictEqual(await second.getToken(), 'access-r1');
+    assert.strictEqual(second.entry.tokens.refreshToken, 'refresh-1');
+  });
+
+  test('should reuse the client registration when the redirect port changes', async () => {
+    const first = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile, openBrowser });
+    await first.authorize();
+    stub.registration = null;
+
+    const second = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile, openBrowser });
+    await second.authorize();
+
+    assert.strictEqual(stub.registration, null);
+    assert.strictEqual(second.entry.client.clientId, 'client-1');
+    assert.notStrictEqual(second.entry.client.redirectUri, first.entry.client.redirectUri);
+  });
+
+  test('should register again for a different authorization server', async () => {
+    const client = { clientId: 'client-1', registrationEndpoint: 'http://other/register' };
+    await writeFile(cacheFile, JSON.stringify({ [`${base}/mcp`]: { client } }));
+
+    const provider = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile, openBrowser });
+    await provider.authorize();
+
+    assert(stub.registration);
+    assert.strictEqual(provider.entry.client.registrationEndpoint, `${base}/auth/register`);
+  });
+
+  test('should register again when the server rejects the cached client', async () => {
+    const client = { clientId: 'stale', registrationEndpoint: `${base}/auth/register` };
+    await writeFile(cacheFile, JSON.stringify({ [`${base}/mcp`]: { client } }));
+
+    const provider = new OAuthProvider({ serverUrl: `${base}/mcp`, cacheFile, openBrowser });
+    await provider.authorize();
+
+    assert(stub.registration);
+    assert.strictEqual(provider.entry.client.clientId, 'client-1');
+    assert.strictEqual(provider.entry.tokens.accessToken, 'access-1');
+  });
+
+  test('should report failure when authorization is denied', async () => {
+    const provider = new OAuthProvider({
+      serverUrl: `${base}/mcp`,
+      cacheFile,
+      openBrowser: async (url) => {
+        const redirect = new URL(new URL(url).searchParams.get('redirect_uri'));
+        redirect.searchParams.set('error', 'access_denied');
+        await fetch(redirect);
+      },
+    });
+
+    assert.strictEqual(await provider.refresh(), false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @module test/policy
+ * @description Tests for Policy
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Policy, loadPolicy } from '../src/policy.js';
+
+const toolsResponse = (tools) => ({ jsonrpc: '2.0', result: { tools }, id: 1 });
+const listTools = { jsonrpc: '2.0', method: 'tools/list', id: 1 };
+const callTool = (name) => ({ jsonrpc: '2.0', method: 'tools/call', params: { name }, id: 2 });
+
+describe('Policy', () => {
+  test('should allow everything by default', () => {
+    const policy = new Policy();
+    assert.strictEqual(policy.active, false);
+    assert.strictEqual(policy.checkRequest(callTool('anything')), null);
+
+    const response = toolsResponse([{ name: 'a' }]);
+    assert.deepStrictEqual(policy.filterResponse(listTools, response), response);
+  });
+
+  test('should filter lists and block calls with allow and deny globs', () => {
+    const policy = new Policy({ tools: { allow: ['git_*', 'search'], deny: ['git_push*'] } });
+    assert.strictEqual(policy.active, true);
+
+    const filtered = policy.filterResponse(
+      listTools,
+      toolsResponse([
+        { name: 'git_status' },
+        { name: 'git_push_force' },
+        { name: 'search' },
+        { name: 'rm' },
+      ]),
+    );
+    assert.deepStrictEqual(
+      filtered.result.tools.map((tool) => tool.name),
+      ['git_status', 'search'],
+    );
+
+    assert.strictEqual(policy.checkRequest(callTool('git_status')), null);
+    assert.match(policy.checkRequest(callTool('git_push_force')), /not allowed/);
+    assert.match(policy.checkRequest(callTool('rm')), /not allowed/);
+  });
+
+  test('should treat glob metacharacters other than * and ? literally', () => {
+    const policy = new Policy({ tools: { allow: ['a.b?'] } });
+    assert.strictEqual(policy.checkRequest(callTool('a.bc')), null);
+    assert.match(policy.checkRequest(callTool('axbc')), /not allowed/);
+  });
+
+  test('should apply prompt and resource rules', () => {
+    const policy = new Policy({
+      prompts: { deny: ['internal_*'] },
+      resources: { allow: ['file:///public/*'] },
+    });
+
+    const prompt = { jsonrpc: '2.0', method: 'prompts/get', params: { name: 'internal_x' }, id: 1 };
+    assert.match(policy.checkRequest(prompt), /Prompt "internal_x"/);
+
+    const read = (uri) => ({ jsonrpc: '2.0', method: 'resources/read', params: { uri }, id: 1 });
+    assert.strictEqual(policy.checkRequest(read('file:///public/a.txt')), null);
+    assert.match(policy.checkRequest(read('file:///secret/a.txt')), /Resource/);
+
+    const resources = policy.filterResponse(
+      { method: 'resources/list' },
+      { result: { resources: [{ uri: 'file:///public/a' }, { uri: 'file:///secret/b' }] } },
+    );
+    assert.deepStrictEqual(resources.result.resources, [{ uri: 'file:///public/a' }]);
+  });
+
+  test('should only allow read-only tools in read-only mode', () => {
+    const policy = new Policy({ readOnly: true });
+
+    assert.match(policy.checkRequest(callTool('read')), /read-only mode/);
+
+    const filtered = policy.filterResponse(
+      listTools,
+      toolsResponse([
+        { name: 'read', annotations: { readOnlyHint: true } },
+        { name: 'write', annotations: { readOnlyHint: false } },
+        { name: 'unknown' },
+      ]),
+    );
+
+    assert.deepStrictEqual(
+      filtered.result.tools.map((tool) => tool.name),
+      ['read'],
+    );
+    assert.strictEqual(policy.checkRequest(callTool('read')), null);
+    assert.match(policy.checkRequest(callTool('write')), /read-only mode/);
+  });
+});
+
+describe('loadPolicy', () => {
+  test('should load a policy file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-policy-'));
+    try {
+      const path = join(dir, 'policy.json');
+      await writeFile(path, JSON.stringify({ tools: { deny: ['rm'] }, readOnly: true }));
+      assert.deepStrictEqual(loadPolicy(path), { tools: { deny: ['rm'] }, readOnly: true });
+      assert.throws(() => loadPolicy(join(dir, 'missing.json')), /Failed to read policy/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * @module test/recorder
+ * @description Tests for traffic recording and replay
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import pino from 'pino';
+import { Recorder, ReplayUpstream, loadRecording } from '../src/recorder.js';
+import { MCPHTTPServer } from '../src/server.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturePath = join(__dirname, 'fixtures/stdio-server.js');
+
+/**
+ * Drive a bridge through a short conversation and collect its output
+ * @param {MCPBridge} bridge - Bridge to drive
+ * @returns {Promise<Array<Object>>} Messages written to the client
+ */
+const converse = async (bridge) => {
+  const input = new PassThrough();
+  const lines = [];
+  const output = { write: (line) => lines.push(JSON.parse(line)) };
+
+  await bridge.start({ input, output });
+
+  input.write(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 }) + '\n');
+  await waitFor(() => lines.length === 1);
+
+  input.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+  input.write(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'x', _meta: { progressToken: 'p1' } },
+      id: 1,
+    }) + '\n',
+  );
+  await waitFor(() => lines.some((line) => line.id === 1));
+
+  await bridge.stop();
+  return lines;
+};
+
+describe('Recorder', () => {
+  let lines;
+  let recorder;
+
+  beforeEach(() => {
+    lines = [];
+    recorder = new Recorder({
+      stream: { write: (line) => lines.push(JSON.parse(line)), end: (callback) => callback() },
+      getSessionId: () => 'session-1',
+    });
+  });
+
+  test('should timestamp entries and tag them with the session ID', () => {
+    recorder.recordMessage('stdin', '{"jsonrpc":"2.0","method":"ping","id":1}\n');
+
+    assert.strictEqual(lines[0].type, 'stdin');
+    assert.strictEqual(lines[0].sessionId, 'session-1');
+    assert.deepStrictEqual(lines[0].message, { jsonrpc: '2.0', method: 'ping', id: 1 });
+    assert(!isNaN(Date.parse(lines[0].ts)));
+  });
+
+  test('should tie responses, bodies and SSE events to their request', () => {
+    const response = { status: 200, headers: new Map([['content-type', 'text/event-stream']]) };
+
+    const exchange = recorder.startExchange({
+      method: 'POST',
+      url: 'http://localhost/mcp',
+      headers: { Authorization: '[REDACTED]' },
+      body: '{"jsonrpc":"2.0","method":"ping","id":1}',
+    });
+    recorder.endExchange(exchange, response);
+    recorder.recordEvent(response, { event: 'message', id: '1', data: '{"id":1}' });
+
+    assert.deepStrictEqual(
+      lines.map((line) => [line.type, line.exchange]),
+      [
+        ['http-request', 1],
+        ['http-response', 1],
+        ['sse-event', 1],
+      ],
+    );
+    assert.deepStrictEqual(lines[0].body, { jsonrpc: '2.0', method: 'ping', id: 1 });
+    assert.deepStrictEqual(lines[1].headers, { 'content-type': 'text/event-stream' });
+    assert.deepStrictEqual(lines[2].data, { id: 1 });
+  });
+});
+
+describe('Recording and replay', () => {
+  let server;
+  let dir;
+  let file;
+  let testLogger;
+
+  beforeEach(async () => {
+    testLogger = pino({ level: 'silent' });
+    dir = await mkdtemp(join(tmpdir(), 'mcp-bridge-record-'));
+    file = join(dir, 'session.jsonl');
+    server = new MCPHTTPServer({
+      command: process.execPath,
+      args: [fixturePath],
+      port: 0,
+      logger: testLogger,
+    });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Record a conversation against the fixture server
+   * @returns {Promise<Array<Object>>} Messages written to the client
+   */
+  const record = async () => {
+    const address = await server.start();
+    const bridge = new MCPBridge({
+      url: `http://127.0.0.1:${address.port}/mcp`,
+      record: file,
+      bearerToken: 'secret',
+      logger: testLogger,
+    });
+    return converse(bridge);
+  };
+
+  test('should record stdio lines, HTTP exchanges and SSE events', async () => {
+    await record();
+
+    const entries = (await readFile(file, 'utf-8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    const types = new Set(entries.map((entry) => entry.type));
+
+    for (const type of ['stdin', 'stdout', 'http-request', 'http-response', 'sse-event']) {
+      assert(types.has(type), `missing ${type} entries`);
+    }
+
+    const progress = entries.find(
+      (entry) => entry.type === 'sse-event' && entry.data.method === 'notifications/progress',
+    );
+    assert(progress);
+    assert(progress.sessionId);
+
+    const request = entries.find((entry) => entry.type === 'http-request');
+    assert.strictEqual(request.headers.Authorization, '[REDACTED]');
+  });
+
+  test('should replay a recording through the fetch option', async () => {
+    const recorded = await record();
+    await server.stop();
+
+    const upstream = new ReplayUpstream({ file, logger: testLogger });
+    const bridge = new MCPBridge({
+      url: 'http://127.0.0.1:1/mcp',
+      fetch: upstream.fetch,
+      reconnectDelay: 1,
+      logger: testLogger,
+    });
+
+    assert.deepStrictEqual(await converse(bridge), recorded);
+  });
+
+  test('should replay a recording over HTTP', async () => {
+    const recorded = await record();
+    await server.stop();
+
+    const upstream = new ReplayUpstream({ file, logger: testLogger });
+    const address = await upstream.listen({ port: 0 });
+
+    try {
+      const bridge = new MCPBridge({
+        url: `http://127.0.0.1:${address.port}/mcp`,
+        reconnectDelay: 1,
+        logger: testLogger,
+      });
+      assert.deepStrictEqual(await converse(bridge), recorded);
+    } finally {
+      await upstream.close();
+    }
+  });
+
+  test('should answer unrecorded requests with an error', async () => {
+    await record();
+
+    const upstream = new ReplayUpstream({ exchanges: loadRecording(file), logger: testLogger });
+    const response = await upstream.fetch('http://127.0.0.1:1/mcp', {
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'resources/list', id: 7 }),
+    });
+
+    const body = await response.json();
+    assert.strictEqual(body.id, 7);
+    assert.match(body.error.message, /No recorded response for resources\/list/);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * @module test/server
+ * @description Tests for MCPHTTPServer
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import pino from 'pino';
+import { MCPHTTPServer } from '../src/server.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturePath = join(__dirname, 'fixtures/stdio-server.js');
+
+describe('MCPHTTPServer', () => {
+  let server;
+  let base;
+  let testLogger;
+
+  const initialize = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 };
+
+  /**
+   * POST a JSON-RPC payload to the server
+   * @param {Object} body - Payload
+   * @param {Object} [headers] - Extra headers
+   * @returns {Promise<Response>} Fetch response
+   */
+  const post = (body, headers = {}) =>
+    fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+
+  beforeEach(async () => {
+    testLogger = pino({ level: 'silent' });
+    server = new MCPHTTPServer({
+      command: process.execPath,
+      args: [fixturePath],
+      port: 0,
+      logger: testLogger,
+    });
+    const address = await server.start();
+    base = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should require a command', () => {
+    assert.throws(() => new MCPHTTPServer({ logger: testLogger }), /command is required/);
+  });
+
+  test('should serve the health endpoint', async () => {
+    const response = await fetch(`${base}/health`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { status: 'healthy', sessions: 0 });
+  });
+
+  test('should serve the health endpoint next to a nested MCP path', async () => {
+    const nested = new MCPHTTPServer({
+      command: 'x',
+      path: '/api/mcp',
+      port: 0,
+      logger: testLogger,
+    });
+    const address = await nested.start();
+    try {
+      const response = await fetch(`http://127.0.0.1:${address.port}/api/health`);
+      assert.strictEqual(response.status, 200);
+    } finally {
+      await nested.stop();
+    }
+  });
+
+  test('should issue a session ID on initialize and answer with JSON', async () => {
+    const response = await post(initialize);
+    assert.strictEqual(response.status, 200);
+    assert(response.headers.get('Mcp-Session-Id'));
+
+    const body = await response.json();
+    assert.strictEqual(body.id, 0);
+    assert.strictEqual(body.result.serverInfo.name, 'fixture');
+  });
+
+  test('should reject requests without or with an unknown session', async () => {
+    const missing = await post({ jsonrpc: '2.0', method: 'ping', id: 1 });
+    assert.strictEqual(missing.status, 400);
+
+    const ping = { jsonrpc: '2.0', method: 'ping', id: 1 };
+    const unknown = await post(ping, { 'Mcp-Session-Id': 'x' });
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  test('should answer 202 to notifications', async () => {
+    const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+    const response = await post(
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { 'Mcp-Session-Id': sessionId },
+    );
+    assert.strictEqual(response.status, 202);
+  });
+
+  test('should give each session its own process', async () => {
+    const pids = [];
+    for (let i = 0; i < 2; i++) {
+      const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+      const response = await post(
+        { jsonrpc: '2.0', method: 'tools/call', params: { name: 'x' }, id: 1 },
+        { 'Mcp-Session-Id': sessionId },
+      );
+      pids.push((await response.json()).result.content[0].text);
+    }
+    assert.notStrictEqual(pids[0], pids[1]);
+    assert.strictEqual(server.sessions.size, 2);
+  });
+
+  test('should terminate sessions on DELETE', async () => {
+    const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+    const response = await fetch(`${base}/mcp`, {
+      method: 'DELETE',
+      headers: { 'Mcp-Session-Id': sessionId },
+    });
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(server.sessions.size, 0);
+
+    const ping = { jsonrpc: '2.0', method: 'ping', id: 1 };
+    const after = await post(ping, { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual(after.status, 404);
+  });
+
+  test('should answer pending requests when the process exits', async () => {
+    const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+    const response = await post(
+      { jsonrpc: '2.0', method: 'crash', id: 5 },
+      { 'Mcp-Session-Id': sessionId },
+    );
+    const body = await response.json();
+    assert.strictEqual(body.id, 5);
+    assert.strictEqual(body.error.code, -32603);
+  });
+
+  test('should answer and close the session when the command cannot be spawned', async () => {
+    await server.stop();
+    server = new MCPHTTPServer({ command: 'mcp-no-such-command', port: 0, logger: testLogger });
+    base = `http://127.0.0.1:${(await server.start()).port}`;
+
+    const response = await post(initialize);
+    const body = await response.json();
+
+    assert.strictEqual(body.id, 0);
+    assert.match(body.error.message, /Server process failed: .*ENOENT/);
+    assert.strictEqual(server.sessions.size, 0);
+  });
+
+  test('should drop the oldest messages beyond the backlog limit', async () => {
+    server.maxBacklog = 2;
+    const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+    const session = server.sessions.get(sessionId);
+    for (let i = 0; i < 3; i++) {
+      await post({ jsonrpc: '2.0', method: 'notify', id: i + 1 }, { 'Mcp-Session-Id': sessionId });
+    }
+
+    assert.strictEqual(session.backlog.length, 2);
+  });
+
+  test('should skip server output that parses as JSON but is not a message', async () => {
+    const sessionId = (await post(initialize)).headers.get('Mcp-Session-Id');
+    const response = await post(
+      { jsonrpc: '2.0', method: 'noise', id: 6 },
+      { 'Mcp-Session-Id': sessionId },
+    );
+
+    assert.deepStrictEqual(await response.json(), { jsonrpc: '2.0', result: {}, id: 6 });
+    assert.strictEqual(server.sessions.size, 1);
+  });
+
+  test('should reject origins other than loopback and the allowed ones', async () => {
+    server.allowedOrigins.add('https://app.example.com');
+
+    const evil = await post(initialize, { Origin: 'https://evil.example.com' });
+    assert.strictEqual(evil.status, 403);
+    assert.strictEqual(server.sessions.size, 0);
+
+    const allowed = await post(initialize, { Origin: 'https://app.example.com' });
+    assert.strictEqual(allowed.status, 200);
+    const loopback = await post(initialize, { Origin: 'http://localhost:5173' });
+    assert.strictEqual(loopback.status, 200);
+  });
+
+  test('should refuse new sessions beyond the limit', async () => {
+    server.maxSessions = 1;
+    assert.strictEqual((await post(initialize)).status, 200);
+
+    const response = await post(initialize);
+
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual((await response.json()).error.message, 'Too many sessions');
+    assert.strictEqual(server.sessions.size, 1);
+  });
+
+  test('should reject bodies larger than the limit', async () => {
+    server.maxBodySize = 100;
+
+    const response = await post({ ...initialize, params: { padding: 'x'.repeat(200) } });
+
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(server.sessions.size, 0);
+  });
+
+  test('should work end to end with MCPBridge, including streaming and server push', async () => {
+    const bridge = new MCPBridge({ url: `${base}/mcp`, logger: testLogger });
+    const lines = [];
+    const output = {
+      write: (line) => lines.push(JSON.parse(line)),
+    };
+    bridge.running = true;
+    bridge.output = output;
+
+    await bridge.checkHealth();
+    const streamOpen = new Promise((resolve) => bridge.once('stream-open', resolve));
+    const init = await bridge.forwardToHTTP(initialize);
+    assert.strictEqual(init.result.serverInfo.name, 'fixture');
+    assert(bridge.sessionId);
+
+    const progress = [];
+    const result = await bridge.forwardToHTTP(
+      {
+        jsonrpc: '2.0',
+        method: 'tools/call',
+        params: { name: 'x', _meta: { progressToken: 'p1' } },
+        id: 1,
+      },
+      { onMessage: (message) => progress.push(message) },
+    );
+    assert(result.result.content[0].text.startsWith('pid'));
+    assert.strictEqual(progress[0].method, 'notifications/progress');
+
+    await streamOpen;
+    await bridge.forwardToHTTP({ jsonrpc: '2.0', method: 'notify', id: 2 });
+    await waitFor(() => lines.some((line) => line.method === 'notifications/message'));
+
+    bridge.running = false;
+    await bridge.terminateSession();
+    assert.strictEqual(server.sessions.size, 0);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @module test/sse
+ * @description Tests for the SSE parser
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'stream';
+import { SSEParser, readEventStream } from '../src/sse.js';
+
+describe('SSEParser', () => {
+  test('should parse a simple event', () => {
+    const parser = new SSEParser();
+    const events = parser.feed('data: {"a":1}\n\n');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].event, 'message');
+    assert.strictEqual(events[0].data, '{"a":1}');
+  });
+
+  test('should join multi-line data fields', () => {
+    const parser = new SSEParser();
+    const events = parser.feed('data: first\ndata: second\n\n');
+    assert.strictEqual(events[0].data, 'first\nsecond');
+  });
+
+  test('should parse event, id and retry fields', () => {
+    const parser = new SSEParser();
+    const events = parser.feed('event: update\nid: 42\nretry: 1500\ndata: x\n\n');
+    assert.strictEqual(events[0].event, 'update');
+    assert.strictEqual(events[0].id, '42');
+    assert.strictEqual(events[0].retry, 1500);
+    assert.strictEqual(parser.lastEventId, '42');
+    assert.strictEqual(parser.retry, 1500);
+  });
+
+  test('should ignore comments, unknown fields and invalid retry values', () => {
+    const parser = new SSEParser();
+    const events = parser.feed(': keep-alive\nfoo: bar\nretry: soon\ndata: x\n\n');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(parser.retry, null);
+  });
+
+  test('should not dispatch events without data', () => {
+    const parser = new SSEParser();
+    const events = parser.feed('id: 7\n\n');
+    assert.strictEqual(events.length, 0);
+    assert.strictEqual(parser.lastEventId, '7');
+  });
+
+  test('should handle events split across chunks and CRLF line endings', () => {
+    const parser = new SSEParser();
+    assert.deepStrictEqual(parser.feed('da'), []);
+    assert.deepStrictEqual(parser.feed('ta: hel'), []);
+    assert.deepStrictEqual(parser.feed('lo\r'), []);
+    const events = parser.feed('\n\r\n');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].data, 'hello');
+  });
+
+  test('should discard partial events on reset but keep the last event ID', () => {
+    const parser = new SSEParser();
+    parser.feed('id: 5\nretry: 200\ndata: done\n\nid: 6\ndata: parti');
+    parser.reset();
+    const events = parser.feed('data: fresh\n\n');
+    assert.strictEqual(events[0].data, 'fresh');
+    assert.strictEqual(events[0].id, undefined);
+    assert.strictEqual(parser.lastEventId, '5');
+    assert.strictEqual(parser.retry, 200);
+  });
+});
+
+describe('readEventStream', () => {
+  test('should yield events from a streaming body', async () => {
+    const body = Readable.from([Buffer.from('data: one\n\nda'), Buffer.from('ta: two\n\n')]);
+    const events = [];
+    for await (const event of readEventStream({ body })) {
+      events.push(event.data);
+    }
+    assert.deepStrictEqual(events, ['one', 'two']);
+  });
+
+  test('should fall back to text() when there is no body', async () => {
+    const events = [];
+    for await (const event of readEventStream({ text: async () => 'data: only' })) {
+      events.push(event.data);
+    }
+    assert.deepStrictEqual(events, ['only']);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @module test/supervisor
+ * @description Tests for ServerSupervisor
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import net from 'net';
+import { PassThrough } from 'stream';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import pino from 'pino';
+import { ServerSupervisor } from '../src/supervisor.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturePath = join(__dirname, 'fixtures/http-server.js');
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Check whether a process is still alive
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+describe('ServerSupervisor', () => {
+  let port;
+  let logs;
+  let testLogger;
+  let supervisor;
+
+  /**
+   * Health check against the fixture server
+   * @returns {Promise<void>}
+   */
+  const checkHealth = async () => {
+    const response = await fetch(`http://127.0.0.1:${port}/health`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+  };
+
+  beforeEach(async () => {
+    port = await freePort();
+    logs = [];
+    testLogger = pino({ level: 'debug' }, { write: (line) => logs.push(JSON.parse(line)) });
+  });
+
+  afterEach(async () => {
+    await supervisor?.stop();
+    supervisor = null;
+  });
+
+  test('should require a command and a health check', () => {
+    assert.throws(() => new ServerSupervisor({ checkHealth }), /command is required/);
+    assert.throws(() => new ServerSupervisor({ command: 'node' }), /health check is required/);
+  });
+
+  test('should wait until the server is healthy and kill it on stop', async () => {
+    supervisor = new ServerSupervisor({
+      command: process.execPath,
+      args: [fixturePath, String(port)],
+      checkHealth,
+      pollInterval: 20,
+      logger: testLogger,
+    });
+
+    const ready = new Promise((resolve) => supervisor.once('ready', resolve));
+    await supervisor.start();
+    const pid = await ready;
+    await checkHealth();
+
+    await supervisor.stop();
+    assert.strictEqual(isAlive(pid), false);
+    assert.strictEqual(supervisor.child, null);
+  });
+
+  test('should pipe server stderr into the logger', async () => {
+    supervisor = new ServerSupervisor({
+      command: process.execPath,
+      args: [fixturePath, String(port)],
+      checkHealth,
+      pollInterval: 20,
+      logger: testLogger,
+    });
+
+    await supervisor.start();
+
+    await waitFor(() => logs.some((entry) => entry.msg === `[server] listening on ${port}`));
+  });
+
+  test('should fail when the server exits before becoming healthy', async () => {
+    supervisor = new ServerSupervisor({
+      command: process.execPath,
+      args: ['-e', 'process.exit(3)'],
+      checkHealth,
+      pollInterval: 20,
+      logger: testLogger,
+    });
+
+    await assert.rejects(supervisor.start(), /exited before becoming healthy/);
+    assert.strictEqual(supervisor.running, false);
+    assert.strictEqual(supervisor.restartTimer, null);
+  });
+
+  test('should kill the server when it does not become healthy in time', async () => {
+    supervisor = new ServerSupervisor({
+      command: process.execPath,
+      args: ['-e', 'setInterval(() => {}, 1000)'],
+      checkHealth,
+      startupTimeout: 200,
+      pollInterval: 20,
+      logger: testLogger,
+    });
+
+    const spawned = new Promise((resolve) => supervisor.once('spawn', resolve));
+    await assert.rejects(supervisor.start(), /did not become healthy within 200ms/);
+    assert.strictEqual(isAlive(await spawned), false);
+  });
+
+  test('should restart the server with backoff when it crashes', async () => {
+    supervisor = new ServerSupervisor({
+      command: process.execPath,
+      args: [fixturePath, String(port)],
+      checkHealth,
+      pollInterval: 20,
+      restartDelay: 50,
+      logger: testLogger,
+    });
+
+    const pids = [];
+    supervisor.on('ready', (pid) => pids.push(pid));
+    await supervisor.start();
+
+    const restarted = new Promise((resolve) => supervisor.once('ready', resolve));
+    const exited = new Promise((resolve) => supervisor.once('exit', resolve));
+    await fetch(`http://127.0.0.1:${port}/exit`);
+
+    assert.strictEqual((await exited).code, 1);
+    await restarted;
+
+    assert.strictEqual(pids.length, 2);
+    assert.notStrictEqual(pids[0], pids[1]);
+    assert(logs.some((entry) => entry.msg === 'Restarting server process' && entry.delay === 50));
+  });
+
+  test('should be launched and stopped by MCPBridge', async () => {
+    const bridge = new MCPBridge({
+      url: `http://127.0.0.1:${port}/mcp`,
+      server: { command: process.execPath, args: [fixturePath, String(port)], pollInterval: 20 },
+      logger: testLogger,
+    });
+
+    const ready = new Promise((resolve) => bridge.supervisor.once('ready', resolve));
+    await bridge.start({ input: new PassThrough(), output: { write: () => true } });
+    const pid = await ready;
+    assert(isAlive(pid));
+
+    await bridge.stop();
+    assert.strictEqual(isAlive(pid), false);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @module test/tracing
+ * @description Tests for request tracing
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import sinon from 'sinon';
+import pino from 'pino';
+import { Tracer, parseTraceparent } from '../src/tracing.js';
+import { MCPBridge } from '../src/index.js';
+import { waitFor } from './helpers.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+/**
+ * Create a JSONL stream that collects the exported spans
+ * @param {Array<Object>} spans - Array receiving the spans
+ * @returns {Object} Writable stream stand-in
+ */
+const collect = (spans) => ({
+  write: (line) => spans.push(JSON.parse(line)),
+  end: (callback) => callback(),
+});
+
+describe('tracing', () => {
+  test('should parse valid traceparent values only', () => {
+    assert.deepStrictEqual(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`), {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+    });
+    assert.strictEqual(parseTraceparent(undefined), null);
+    assert.strictEqual(parseTraceparent('00-abc-def-01'), null);
+    assert.strictEqual(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`), null);
+  });
+
+  test('should create child spans and write them as JSONL', async () => {
+    const spans = [];
+    const tracer = new Tracer({ stream: collect(spans) });
+
+    const parent = tracer.startSpan('tools/call', { kind: 'server' });
+    const child = tracer.startSpan('HTTP POST', { kind: 'client', parent });
+    child.setAttributes({ 'http.response.status_code': 200, skipped: undefined }).setStatus('ok');
+    child.end();
+    child.end();
+    parent.setStatus('error', 'boom').end();
+    await tracer.close();
+
+    assert.strictEqual(spans.length, 2);
+    assert.strictEqual(spans[0].traceId, parent.traceId);
+    assert.strictEqual(spans[0].parentSpanId, parent.spanId);
+    assert.deepStrictEqual(spans[0].attributes, { 'http.response.status_code': 200 });
+    assert.strictEqual(typeof spans[0].durationMs, 'number');
+    assert.strictEqual(spans[1].parentSpanId, null);
+    assert.deepStrictEqual(spans[1].status, { code: 'error', message: 'boom' });
+    assert.strictEqual(child.traceparent(), `00-${parent.traceId}-${child.spanId}-01`);
+  });
+
+  test('should export batches over OTLP/HTTP', async () => {
+    const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+    const tracer = new Tracer({
+      endpoint: 'http://collector:4318/v1/traces',
+      headers: { 'X-Api-Key': 'key' },
+      serviceName: 'test-bridge',
+      fetch: fetchStub,
+    });
+
+    const span = tracer.startSpan('ping', { parent: { traceId: TRACE_ID, spanId: SPAN_ID } });
+    span.setAttributes({ 'rpc.method': 'ping', count: 2, ratio: 0.5, cached: true }).end();
+    await tracer.close();
+
+    assert.strictEqual(fetchStub.callCount, 1);
+    const [url, options] = fetchStub.firstCall.args;
+    assert.strictEqual(url, 'http://collector:4318/v1/traces');
+    assert.strictEqual(options.headers['X-Api-Key'], 'key');
+
+    const [resourceSpans] = JSON.parse(options.body).resourceSpans;
+    assert.deepStrictEqual(resourceSpans.resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'test-bridge' } },
+    ]);
+    const [exported] = resourceSpans.scopeSpans[0].spans;
+    assert.strictEqual(exported.traceId, TRACE_ID);
+    assert.strictEqual(exported.parentSpanId, SPAN_ID);
+    assert.strictEqual(exported.kind, 1);
+    assert.match(exported.startTimeUnixNano, /^\d+$/);
+    assert.deepStrictEqual(
+      exported.attributes.map(({ value }) => value),
+      [{ stringValue: 'ping' }, { intValue: '2' }, { doubleValue: 0.5 }, { boolValue: true }],
+    );
+  });
+
+  test('should log and drop spans the collector rejects', async () => {
+    const logger = pino({ level: 'silent' });
+    const warn = sinon.spy(logger, 'warn');
+    const tracer = new Tracer({
+      endpoint: 'http://collector:4318/v1/traces',
+      fetch: sinon.stub().resolves({ ok: false, status: 503 }),
+      logger,
+    });
+
+    tracer.startSpan('ping').end();
+    await tracer.close();
+
+    assert.strictEqual(warn.callCount, 1);
+    assert.match(warn.firstCall.args[0].error, /Collector returned 503/);
+  });
+
+  describe('MCPBridge', () => {
+    let bridge;
+
+    afterEach(async () => {
+      await bridge?.stop();
+    });
+
+    test('should trace requests and propagate traceparent upstream', async () => {
+      const spans = [];
+      const fetchStub = sinon.stub().callsFake(async (url, options = {}) => {
+        if (options.method !== 'POST') {
+          return { ok: false, status: 405, headers: new Map() };
+        }
+        const { id } = JSON.parse(options.body);
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['Mcp-Session-Id', 'session123']]),
+          json: async () => ({ jsonrpc: '2.0', result: {}, id }),
+        };
+      });
+
+      bridge = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: fetchStub,
+        healthMode: 'none',
+        tracer: new Tracer({ stream: collect(spans) }),
+        logger: pino({ level: 'silent' }),
+      });
+      const input = new PassThrough();
+      const lines = [];
+      await bridge.start({ input, output: { write: (line) => lines.push(JSON.parse(line)) } });
+
+      input.write(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'tools/call',
+          params: { name: 'build', _meta: { traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` } },
+          id: 7,
+        }) + '\n',
+      );
+      await waitFor(() => spans.length === 2);
+
+      const [http, request] = spans;
+      assert.strictEqual(request.name, 'tools/call');
+      assert.strictEqual(request.kind, 'server');
+      assert.strictEqual(request.traceId, TRACE_ID);
+      assert.strictEqual(request.parentSpanId, SPAN_ID);
+      assert.deepStrictEqual(request.status, { code: 'ok' });
+      assert.strictEqual(request.attributes['rpc.method'], 'tools/call');
+      assert.strictEqual(request.attributes['rpc.jsonrpc.request_id'], '7');
+      assert.strictEqual(request.attributes['mcp.tool.name'], 'build');
+      assert.strictEqual(request.attributes['mcp.session.id'], 'session123');
+
+      assert.strictEqual(http.kind, 'client');
+      assert.strictEqual(http.traceId, TRACE_ID);
+      assert.strictEqual(http.parentSpanId, request.spanId);
+      assert.strictEqual(http.attributes['http.response.status_code'], 200);
+      assert.strictEqual(http.attributes['url.full'], 'http://localhost:3000/mcp');
+
+      const [, options] = fetchStub.firstCall.args;
+      assert.strictEqual(options.headers.traceparent, `00-${TRACE_ID}-${http.spanId}-01`);
+    });
+
+    test('should mark failed requests as errors', async () => {
+      const spans = [];
+      bridge = new MCPBridge({
+        url: 'http://localhost:3000/mcp',
+        fetch: sinon.stub().rejects(new Error('connect ECONNREFUSED')),
+        healthMode: 'none',
+        maxRetries: 0,
+        tracer: new Tracer({ stream: collect(spans) }),
+        logger: pino({ level: 'silent' }),
+      });
+      const input = new PassThrough();
+      await bridge.start({ input, output: { write: () => {} } });
+
+      input.write(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 }) + '\n');
+      await waitFor(() => spans.length === 2);
+
+      assert.strictEqual(spans[0].status.code, 'error');
+      assert.strictEqual(spans[1].status.code, 'error');
+      assert.match(spans[1].status.message, /ECONNREFUSED/);
+    });
+  });
+});